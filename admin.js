@@ -0,0 +1,125 @@
+const { doc, getDocs, query, where, orderBy, limit, runTransaction } = require('./stores');
+const { db, usersCollection, transactionsCollection } = require('./firebase');
+const ledger = require('./ledger');
+const { auditLogCollection, writeAdminAction } = require('./audit');
+const { logger } = require('./logger');
+
+// Support actions on user accounts. Every change is written together with
+// its audit log entry in one Firestore transaction.
+
+const userNotFoundError = (userId) => {
+  const error = new Error(`User with ID ${userId} not found`);
+  error.code = 'USER_NOT_FOUND';
+  return error;
+};
+
+// Grant (positive amount) or deduct (negative amount) credits. Deductions
+// can't take the user's available balance below zero.
+const adjustUserCredits = async ({ adminId, userId, amount, reason }) => {
+  try {
+    let transactionId = null;
+
+    const entry = await ledger.adjustCredits(userId, amount, {
+      type: 'admin-adjustment',
+      adminId,
+      reason
+    }, {
+      preventNegative: amount < 0,
+      writeRelated: (transaction, { credits, creditsBefore }) => {
+        // Shows up in the user's transaction history like any other credit movement
+        const transactionDocRef = doc(transactionsCollection);
+        transactionId = transactionDocRef.id;
+        transaction.set(transactionDocRef, {
+          userId,
+          credits: amount,
+          type: 'admin-adjustment',
+          reason,
+          adminId,
+          createdAt: new Date()
+        });
+
+        writeAdminAction(transaction, {
+          adminId,
+          action: 'user.credits.adjust',
+          targetType: 'user',
+          targetId: userId,
+          before: { credits: creditsBefore },
+          after: { credits },
+          reason
+        });
+      }
+    });
+
+    return { credits: entry.credits, heldCredits: entry.heldCredits, transactionId };
+  } catch (error) {
+    if (error.code !== 'INSUFFICIENT_CREDITS') {
+      logger.error('Error adjusting user credits', error);
+    }
+    throw error;
+  }
+};
+
+const setUserBanned = async ({ adminId, userId, banned, reason }) => {
+  try {
+    return await runTransaction(db, async (transaction) => {
+      const userDocRef = doc(usersCollection, userId);
+      const userDocSnap = await transaction.get(userDocRef);
+
+      if (!userDocSnap.exists()) {
+        throw userNotFoundError(userId);
+      }
+
+      const user = userDocSnap.data();
+      const before = { banned: Boolean(user.banned), bannedReason: user.bannedReason || null };
+      const after = { banned, bannedReason: banned ? reason || null : null };
+
+      transaction.update(userDocRef, {
+        ...after,
+        bannedAt: banned ? new Date() : null,
+        bannedBy: banned ? adminId : null,
+        updatedAt: new Date()
+      });
+
+      writeAdminAction(transaction, {
+        adminId,
+        action: banned ? 'user.ban' : 'user.unban',
+        targetType: 'user',
+        targetId: userId,
+        before,
+        after,
+        reason
+      });
+
+      return { id: userId, ...user, ...after };
+    });
+  } catch (error) {
+    if (error.code !== 'USER_NOT_FOUND') {
+      logger.error('Error updating user ban', error);
+    }
+    throw error;
+  }
+};
+
+// Most recent audit entries, optionally for one target (e.g. a user ID)
+const getAuditLog = async ({ targetId, maxResults = 50 } = {}) => {
+  try {
+    const filters = targetId ? [where('targetId', '==', targetId)] : [];
+    const auditQuery = query(auditLogCollection, ...filters, orderBy('createdAt', 'desc'), limit(maxResults));
+    const auditSnapshot = await getDocs(auditQuery);
+
+    return auditSnapshot.docs.map(auditDoc => ({
+      id: auditDoc.id,
+      ...auditDoc.data(),
+      createdAt: auditDoc.data().createdAt.toDate()
+    }));
+  } catch (error) {
+    logger.error('Error getting audit log', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  adjustUserCredits,
+  setUserBanned,
+  getAuditLog
+};
@@ -0,0 +1,1813 @@
+const express = require('express');
+const cors = require('cors');
+const { OpenAI } = require('openai');
+const firebase = require('./firebase');
+const packs = require('./packs');
+const ledger = require('./ledger');
+const { requireAuth, requireAdmin, requireSelf, acceptQueryToken } = require('./auth');
+const jobs = require('./jobs');
+const { storage } = require('./storage');
+const images = require('./images');
+const { createProviderRegistry } = require('./providers');
+const styles = require('./styles');
+const detail = require('./detail');
+const { rateLimit, acquireConcurrencySlot } = require('./rate-limit');
+const admin = require('./admin');
+const refunds = require('./refunds');
+const pagination = require('./pagination');
+const gallery = require('./gallery');
+const shares = require('./shares');
+const batches = require('./batches');
+const moderation = require('./moderation');
+const uploads = require('./uploads');
+const { tempAssets } = require('./temp-assets');
+const { useStore } = require('./stores');
+const { logger, requestLogger } = require('./logger');
+const metrics = require('./metrics');
+const { validate, validateObject, sendInputError } = require('./validation');
+const schemas = require('./schemas');
+const openapi = require('./openapi');
+const { createLifecycle, checkReadiness, DEFAULT_SHUTDOWN_TIMEOUT_MS } = require('./lifecycle');
+const multer = require('multer');
+const sharp = require('sharp');
+
+// Express app
+//
+// createApp() builds the app with every middleware and route but doesn't
+// listen, so the entrypoint (index.js) and the tests can each run it their
+// own way. It takes:
+//   store     document store backend to use (see stores/); defaults to STORE_BACKEND
+//   payments  payments object (see payments.js); required
+//   provider  default image provider, by name or as a provider object; defaults to IMAGE_PROVIDER
+//   openai    OpenAI client; one is created from OPENAI_API_KEY if not given
+// The app's lifecycle (see lifecycle.js) is on app.locals.lifecycle.
+
+// Set up multer for file uploads using memory storage instead of disk storage
+// This keeps files in memory and doesn't save them to disk
+
+// File types are checked by content after upload (see uploads.js), not by name
+const upload = multer({
+  storage: multer.memoryStorage(), // Use memory storage instead of disk storage
+  limits: { fileSize: 4 * 1024 * 1024 } // 4MB limit
+});
+
+// Answer multer errors with the same shape as upload validation errors
+const sendMulterError = (req, res, err, message = err.message) => {
+  req.log.warn('Multer error', { code: err.code, reason: err.message });
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return sendInputError(res, { code: 'FILE_TOO_LARGE', message: 'File upload error: the file is larger than 4MB', field: err.field, status: 413 });
+  }
+  sendInputError(res, { code: 'INVALID_UPLOAD', message: `File upload error: ${message}`, field: err.field || null });
+};
+
+// Add error handling for multer
+const uploadMiddleware = (req, res, next) => {
+  upload.single('image')(req, res, (err) => {
+    if (err) {
+      return sendMulterError(req, res, err);
+    }
+    next();
+  });
+};
+
+// Batch uploads take several images in an `images` field
+const MAX_BATCH_IMAGES = parseInt(process.env.BATCH_MAX_IMAGES || '10', 10);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '2', 10);
+
+const batchUploadMiddleware = (req, res, next) => {
+  upload.array('images', MAX_BATCH_IMAGES)(req, res, (err) => {
+    if (err) {
+      // Multer reports files beyond the limit as an unexpected field
+      return sendMulterError(req, res, err, err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `A batch can have at most ${MAX_BATCH_IMAGES} images in the "images" field`
+        : err.message);
+    }
+    next();
+  });
+};
+
+// Grant purchased credits for a payment exactly once. Both the browser
+// (/api/verify-payment) and Razorpay (/api/webhooks/razorpay) report the same
+// payment, and either can be replayed, so crediting is keyed by payment id.
+const creditPurchase = async (purchase, log = logger) => {
+  const result = await ledger.creditPayment(purchase);
+
+  if (result.applied) {
+    log.info('Added purchased credits', { userId: purchase.userId, paymentId: purchase.paymentId, credits: purchase.credits, balance: result.credits });
+  } else {
+    log.info('Payment was already credited, returning original result', { paymentId: purchase.paymentId });
+  }
+
+  return result;
+};
+
+// Handler for the paginated listings of a user's documents. The page is
+// returned under `key` along with `nextCursor` and `total`; see pagination.js
+// for the query parameters, which the route validates first.
+// `parseFilters` can turn the raw filters into the list function's options.
+const listRoute = ({ key, list, filterNames, parseFilters, errorMessage }) => async (req, res) => {
+  try {
+    const { options, error, field } = pagination.parseListQuery(req.query, filterNames);
+
+    if (error) {
+      return sendInputError(res, { message: error, field });
+    }
+
+    if (parseFilters) {
+      Object.assign(options, parseFilters(options.filters));
+    }
+
+    const { items, nextCursor, total } = await list(req.params.userId, options);
+
+    res.json({ [key]: items, nextCursor: pagination.encodeCursor(nextCursor), total });
+  } catch (error) {
+    req.log.error(errorMessage, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// What the owner sees of a share, with its public links
+const toShareResponse = (req, share) => {
+  const shareUrl = `${req.protocol}://${req.get('host')}/share/${share.token}`;
+
+  return {
+    token: share.token,
+    imageId: share.imageId,
+    branding: share.branding,
+    viewCount: share.viewCount,
+    revoked: share.revoked,
+    createdAt: share.createdAt,
+    shareUrl,
+    previewUrl: `${shareUrl}/image`
+  };
+};
+
+// Answer a rejected upload (see uploads.js). Oversized images get 413, every
+// other rejected upload 400.
+const sendUploadError = (res, uploadError, field, details = {}) => sendInputError(res, {
+  code: uploadError.code,
+  message: uploadError.error,
+  field,
+  status: uploadError.code === 'IMAGE_TOO_LARGE' ? 413 : 400,
+  ...details
+});
+
+// Save an uploaded file where the frontend can show it while the job runs.
+// Returns a signed URL for it and a function that deletes it a minute after
+// the job ends; the temp asset sweeper removes anything this misses.
+const saveTempUpload = async (req, file) => {
+  const asset = await tempAssets.save(file.buffer, file.mimetype);
+  const fileUrl = tempAssets.signedUrl(`${req.protocol}://${req.get('host')}`, asset);
+  req.log.debug('Saved upload as temporary asset', { name: asset.name });
+
+  // Remove the asset right away, for requests that fail before a job uses it
+  const removeTempFiles = () => tempAssets.remove(asset.name)
+    .then(() => req.log.debug('Cleaned up temporary asset', { name: asset.name }))
+    .catch(cleanupError => req.log.error('Error cleaning up temporary asset', cleanupError));
+
+  const cleanupTempFiles = () => {
+    // Delay cleanup so the frontend has time to load the image
+    setTimeout(removeTempFiles, 60000).unref();
+  };
+
+  return { fileUrl, cleanupTempFiles, removeTempFiles };
+};
+
+// Give a credit hold back. Failures are only logged, since stale holds are also
+// released on startup.
+const releaseCreditHold = async (holdId, reason, log = logger) => {
+  if (!holdId) {
+    return;
+  }
+
+  try {
+    await ledger.releaseHold(holdId, { reason });
+    log.info('Released credit hold', { holdId, reason });
+  } catch (releaseError) {
+    log.error('Error releasing credit hold', { holdId, err: releaseError });
+  }
+};
+
+const createApp = ({ store, payments, provider, openai } = {}) => {
+  if (store) {
+    useStore(store);
+  }
+
+  if (!payments) {
+    throw new Error('createApp needs a payments object, see payments.js');
+  }
+
+  const razorpay = payments.client;
+
+  // Webhooks are optional, but without a secret we can't trust their payloads
+  if (!payments.webhooksEnabled) {
+    logger.warn('Razorpay webhook secret is missing, so webhook events will be rejected. Make sure you have RAZORPAY_WEBHOOK_SECRET defined in your .env file.');
+  }
+
+  // Initialize Express app
+  const app = express();
+
+  // Behind a proxy or load balancer, req.ip should be the client's address (used for rate limiting)
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+  }
+
+  // Check if OpenAI API key is available
+  if (!openai && !process.env.OPENAI_API_KEY) {
+    logger.warn('OpenAI API key is missing, so image generation will not work. Make sure you have OPENAI_API_KEY defined in your .env file.');
+  }
+
+  // Initialize OpenAI
+  const openaiClient = openai || new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY || 'placeholder_key_for_initialization',
+  });
+
+  // Image generation providers (OpenAI two-step, OpenAI image edit, offline mock)
+  const imageProviders = createProviderRegistry({ openai: openaiClient, defaultProvider: provider });
+  const moderator = moderation.createModerator({ openai: openaiClient });
+
+  // Tracks running generations and whether the server is shutting down
+  const lifecycle = createLifecycle({
+    shutdownTimeoutMs: process.env.SHUTDOWN_TIMEOUT_SECONDS
+      ? parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) * 1000
+      : DEFAULT_SHUTDOWN_TIMEOUT_MS
+  });
+  app.locals.lifecycle = lifecycle;
+
+  // Refuse new generations once the server is shutting down
+  const refuseWhileDraining = (_req, res, next) => {
+    if (lifecycle.isDraining()) {
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: 'The server is restarting. Please try again in a moment.', code: 'SERVER_DRAINING' });
+    }
+    next();
+  };
+
+  // Middleware
+  // Give every request an id (X-Request-Id) and a logger bound to it (req.log)
+  app.use(requestLogger());
+  // Time every request for /metrics
+  app.use(metrics.httpMetrics());
+  app.use(cors());
+  app.use(express.json({
+    // Keep the raw body around so webhook signatures can be verified byte-for-byte
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+
+  // Serve stored images when developing with the local storage backend
+  if (storage.name === 'local') {
+    app.use(storage.urlPath, express.static(storage.rootDir));
+  }
+
+  // Read the purchase details back from the Razorpay order instead of trusting the client.
+  // Razorpay stores order notes as strings, so credits need parsing; anything
+  // but a positive whole number counts as no credits.
+  const getOrderPurchase = async (orderId, orderEntity) => {
+    const order = orderEntity || await razorpay.orders.fetch(orderId);
+    const notes = order.notes || {};
+    const credits = Number(notes.credits);
+
+    return {
+      userId: notes.userId,
+      packId: notes.packId,
+      credits: Number.isInteger(credits) && credits > 0 ? credits : 0,
+      amount: order.amount / 100 // Razorpay reports amounts in paise
+    };
+  };
+
+  const handlePaymentCaptured = async (paymentEntity, orderEntity, log = logger) => {
+    const { userId, packId, credits } = await getOrderPurchase(paymentEntity.order_id, orderEntity);
+
+    if (!userId || !credits) {
+      log.error('Order has no userId/credits notes, not crediting', { orderId: paymentEntity.order_id });
+      return;
+    }
+
+    await creditPurchase({
+      userId,
+      orderId: paymentEntity.order_id,
+      paymentId: paymentEntity.id,
+      amount: paymentEntity.amount / 100, // Razorpay reports amounts in paise
+      packId,
+      credits
+    }, log);
+  };
+
+  const handlePaymentFailed = async (paymentEntity) => {
+    const existingFailure = await firebase.findTransaction({ paymentId: paymentEntity.id, type: 'payment-failed' });
+
+    if (existingFailure) {
+      return;
+    }
+
+    const { userId } = await getOrderPurchase(paymentEntity.order_id);
+
+    await firebase.saveTransaction({
+      userId: userId || null,
+      orderId: paymentEntity.order_id,
+      paymentId: paymentEntity.id,
+      amount: paymentEntity.amount / 100,
+      credits: 0,
+      type: 'payment-failed',
+      reason: paymentEntity.error_description || null
+    });
+  };
+
+  // Resolve the generation options shared by single and batch uploads, after validate().
+  // Returns { prompt, detailLevel, detailSettings, style, provider, creditCost },
+  // or { error } with an input error for sendInputError.
+  const resolveGenerationOptions = async ({ prompt, style: styleId, provider: requestedProvider, detailLevel: rawDetailLevel }) => {
+    const { detailLevel, error: detailLevelError } = detail.parseDetailLevel(rawDetailLevel);
+
+    if (detailLevelError) {
+      return { error: { message: detailLevelError, field: 'detailLevel' } };
+    }
+
+    // Detail level decides description length, quality, size and any HD surcharge
+    const detailSettings = detail.getDetailSettings(detailLevel);
+
+    const style = await styles.getStyle(styleId || styles.DEFAULT_STYLE_ID);
+
+    if (!style || !style.enabled) {
+      return { error: { code: 'UNKNOWN_STYLE', message: `Unknown style "${styleId}". Use GET /api/styles to list the available styles.`, field: 'style' } };
+    }
+
+    const provider = imageProviders.resolve({ requested: requestedProvider, style });
+
+    if (!provider) {
+      return { error: { code: 'UNKNOWN_PROVIDER', message: `Unknown image provider. Available providers: ${imageProviders.names.filter(imageProviders.isSelectable).join(', ')}`, field: 'provider' } };
+    }
+
+    return {
+      prompt,
+      detailLevel,
+      detailSettings,
+      style,
+      provider,
+      creditCost: style.creditCost + detailSettings.extraCredits
+    };
+  };
+
+  // Serve a temporary upload through its signed URL
+  app.get('/temp/:name', validate(schemas.getTempUpload), (req, res) => {
+    const filePath = tempAssets.resolveSigned(req.params.name, req.query.expires, req.query.signature);
+
+    if (!filePath) {
+      return res.status(404).json({ error: 'File not found or link expired' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'File not found or link expired' });
+      }
+    });
+  });
+
+  // Routes
+  app.get('/', validate(schemas.getStatus), (_req, res) => {
+    res.send('SpiritArt Alchemy API is running');
+  });
+
+  // Liveness: the process is up and serving requests
+  app.get('/healthz', validate(schemas.getLiveness), (_req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Readiness: the document store answers, the default provider is configured and the server isn't draining
+  app.get('/readyz', validate(schemas.getReadiness), async (req, res) => {
+    try {
+      const { ready, checks } = await checkReadiness({ lifecycle, imageProviders });
+      res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not-ready', checks });
+    } catch (error) {
+      req.log.error('Error checking readiness', error);
+      res.status(503).json({ status: 'not-ready', error: error.message });
+    }
+  });
+
+  // Prometheus metrics (see metrics.js)
+  app.get('/metrics', validate(schemas.getMetrics), metrics.metricsHandler);
+
+  // Get user data
+  app.get('/api/user/:userId', requireAuth, requireSelf(), validate(schemas.getUser), async (req, res) => {
+    try {
+      const user = await firebase.getUserById(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ user });
+    } catch (error) {
+      req.log.error('Error getting user data', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create or update the authenticated user's profile
+  app.post('/api/user/create', requireAuth, validate(schemas.saveUser), async (req, res) => {
+    try {
+      // Only whitelisted profile fields are stored; the ID always comes from the token
+      const user = await firebase.createOrUpdateUser({
+        ...req.body,
+        id: req.user.uid
+      });
+
+      res.json({ success: true, user });
+    } catch (error) {
+      req.log.error('Error creating/updating user', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get user transactions, newest first, a page at a time
+  app.get('/api/user/:userId/transactions', requireAuth, requireSelf(), validate(schemas.listUserTransactions), listRoute({
+    key: 'transactions',
+    list: firebase.listUserTransactions,
+    filterNames: ['type'],
+    errorMessage: 'Error getting user transactions:'
+  }));
+
+  // Get user images, newest first, a page at a time
+  app.get('/api/user/:userId/images', requireAuth, requireSelf(), validate(schemas.listUserImages), listRoute({
+    key: 'images',
+    list: firebase.listUserImages,
+    filterNames: ['style', 'favorite', 'tag'],
+    parseFilters: gallery.parseImageFilters,
+    errorMessage: 'Error getting user images:'
+  }));
+
+  // Get one of the user's images. Other users' images are reported as not found.
+  app.get('/api/images/:id', requireAuth, validate(schemas.getImage), async (req, res) => {
+    try {
+      const image = await firebase.getImageById(req.params.id);
+
+      if (!image || image.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      res.json({ image });
+    } catch (error) {
+      req.log.error('Error getting image', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Set the title, tags or favorite flag of one of the user's images
+  app.patch('/api/images/:id', requireAuth, validate(schemas.updateImage), async (req, res) => {
+    try {
+      const { updates, error, field } = gallery.parseImageUpdate(req.body);
+
+      if (error) {
+        return sendInputError(res, { message: error, field });
+      }
+
+      const image = await firebase.getImageById(req.params.id);
+
+      if (!image || image.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      await firebase.updateGeneratedImage(image.id, updates);
+
+      res.json({ image: { ...image, ...updates } });
+    } catch (error) {
+      req.log.error('Error updating image', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete one of the user's images and its stored files
+  app.delete('/api/images/:id', requireAuth, validate(schemas.deleteImage), async (req, res) => {
+    try {
+      const image = await firebase.getImageById(req.params.id);
+
+      if (!image || image.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      if (!(await gallery.deleteImage(image))) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      req.log.info('User deleted image', { userId: req.user.uid, imageId: image.id });
+      res.json({ success: true });
+    } catch (error) {
+      req.log.error('Error deleting image', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create a public share link for one of the user's images
+  app.post('/api/images/:id/share', requireAuth, rateLimit('create-share'), validate(schemas.shareImage), async (req, res) => {
+    try {
+      const { branding } = req.body;
+      const image = await firebase.getImageById(req.params.id);
+
+      if (!image || image.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      const share = await shares.createShare(image, { branding });
+
+      req.log.info('User shared image', { userId: req.user.uid, imageId: image.id });
+      res.status(201).json({ share: toShareResponse(req, share) });
+    } catch (error) {
+      req.log.error('Error sharing image', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List the share links of one of the user's images, with their view counts
+  app.get('/api/images/:id/shares', requireAuth, validate(schemas.listImageShares), async (req, res) => {
+    try {
+      const image = await firebase.getImageById(req.params.id);
+
+      if (!image || image.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      const imageShares = await shares.listImageShares(image.id, req.user.uid);
+
+      res.json({ shares: imageShares.map(share => toShareResponse(req, share)) });
+    } catch (error) {
+      req.log.error('Error listing image shares', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Revoke one of the user's share links
+  app.delete('/api/shares/:token', requireAuth, validate(schemas.revokeShare), async (req, res) => {
+    try {
+      const share = await shares.revokeShare(req.params.token, req.user.uid);
+
+      if (!share) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      req.log.info('User revoked share', { userId: req.user.uid, imageId: share.imageId });
+      res.json({ success: true, share: toShareResponse(req, share) });
+    } catch (error) {
+      req.log.error('Error revoking share', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Public view of a shared image. No authentication; the token is the secret.
+  app.get('/share/:token', rateLimit('share-view'), validate(schemas.viewShare), async (req, res) => {
+    try {
+      const share = await shares.getActiveShare(req.params.token);
+      const image = share && await firebase.getImageById(share.imageId);
+
+      if (!image) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      await shares.recordShareView(share.token);
+
+      const { shareUrl, previewUrl } = toShareResponse(req, share);
+      res.json({
+        share: {
+          title: image.title || null,
+          style: image.style || null,
+          createdAt: image.createdAt,
+          sharedAt: share.createdAt,
+          viewCount: share.viewCount + 1,
+          hasBefore: share.hasBefore,
+          shareUrl,
+          imageUrl: previewUrl
+        }
+      });
+    } catch (error) {
+      req.log.error('Error getting shared image', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The before/after preview image of a share
+  app.get('/share/:token/image', rateLimit('share-view'), validate(schemas.getSharePreview), async (req, res) => {
+    try {
+      const share = await shares.getActiveShare(req.params.token);
+
+      if (!share) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      const preview = await shares.readSharePreview(share);
+
+      // Keep caches short so a revoked share stops showing up soon
+      res.set('Cache-Control', 'public, max-age=300');
+      res.type('image/jpeg').send(preview);
+    } catch (error) {
+      req.log.error('Error serving share preview', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List the credit packs available for purchase
+  app.get('/api/packs', validate(schemas.listPacks), (_req, res) => {
+    res.json({ packs: packs.getActivePacks() });
+  });
+
+  // Razorpay payment endpoint
+  app.post('/api/create-order', requireAuth, rateLimit('create-order'), validate(schemas.createOrder), async (req, res) => {
+    try {
+      const { packId } = req.body;
+      const userId = req.user.uid;
+
+      // validate() only lets active packs through
+      const pack = packs.getPackById(packId);
+
+      // Create a new Razorpay order, priced from the server-side pack
+      const options = {
+        amount: Math.round(pack.price * 100), // Razorpay expects amount in paise (1 INR = 100 paise)
+        currency: pack.currency,
+        receipt: `receipt_order_${Date.now()}`,
+        notes: {
+          userId: userId,
+          packId: pack.id,
+          credits: pack.credits
+        }
+      };
+
+      const order = await razorpay.orders.create(options);
+
+      res.json({
+        id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        packId: pack.id,
+        credits: pack.credits,
+        key: payments.keyId
+      });
+    } catch (error) {
+      req.log.error('Error creating Razorpay order', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Endpoint to verify Razorpay payment
+  app.post('/api/verify-payment', requireAuth, rateLimit('verify-payment'), validate(schemas.verifyPayment), async (req, res) => {
+    try {
+      const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+      const userId = req.user.uid;
+
+      // Verify the payment signature
+      const signatureValid = payments.verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
+      metrics.recordPaymentVerification('client', signatureValid);
+
+      if (signatureValid) {
+        // Payment is successful
+        req.log.info('Payment signature verified', { orderId: razorpay_order_id, paymentId: razorpay_payment_id });
+
+        // The order decides who gets how many credits, not the request body
+        const purchase = await getOrderPurchase(razorpay_order_id);
+
+        if (purchase.userId !== userId) {
+          return res.status(403).json({ error: 'This order belongs to a different user' });
+        }
+
+        const result = await creditPurchase({
+          userId: purchase.userId,
+          orderId: razorpay_order_id,
+          paymentId: razorpay_payment_id,
+          amount: purchase.amount,
+          packId: purchase.packId,
+          credits: purchase.credits
+        }, req.log);
+
+        res.json({
+          success: true,
+          credits: result.credits,
+          applied: result.applied
+        });
+      } else {
+        // Payment verification failed
+        sendInputError(res, { code: 'INVALID_SIGNATURE', message: 'Payment verification failed', field: 'razorpay_signature' });
+      }
+    } catch (error) {
+      req.log.error('Error verifying payment', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Razorpay webhook endpoint, so credits are granted even if the browser never calls verify-payment
+  app.post('/api/webhooks/razorpay', validate(schemas.receiveRazorpayWebhook), async (req, res) => {
+    try {
+      if (!payments.webhooksEnabled) {
+        return res.status(503).json({ error: 'Webhooks are not configured' });
+      }
+
+      const signatureValid = payments.verifyWebhookSignature(req.rawBody, req.get('X-Razorpay-Signature'));
+      metrics.recordPaymentVerification('webhook', signatureValid);
+
+      if (!signatureValid) {
+        req.log.warn('Razorpay webhook signature verification failed');
+        return sendInputError(res, { code: 'INVALID_SIGNATURE', message: 'Invalid webhook signature', field: 'x-razorpay-signature' });
+      }
+
+      const { event, payload } = req.body;
+      req.log.info('Razorpay webhook received', { event });
+
+      // A malformed event fails the same way on every retry, so refuse it
+      // with 400 rather than letting the handlers throw
+      const payloadSchema = schemas.receiveRazorpayWebhook.webhookPayloads[event];
+      const checked = payloadSchema ? validateObject(payload || {}, payloadSchema, { prefix: 'payload.' }) : {};
+      if (checked.error) {
+        req.log.warn('Malformed Razorpay webhook payload', { event, field: checked.error.field });
+        return sendInputError(res, checked.error);
+      }
+
+      switch (event) {
+        case 'payment.captured':
+          await handlePaymentCaptured(payload.payment.entity, undefined, req.log);
+          break;
+        case 'order.paid':
+          await handlePaymentCaptured(payload.payment.entity, payload.order.entity, req.log);
+          break;
+        case 'payment.failed':
+          await handlePaymentFailed(payload.payment.entity);
+          break;
+        case 'refund.processed':
+          await refunds.recordRefund(payload.refund.entity);
+          break;
+        default:
+          req.log.info('Ignoring unhandled Razorpay webhook event', { event });
+      }
+
+      res.json({ received: true });
+    } catch (error) {
+      // A non-2xx response makes Razorpay retry the delivery later
+      req.log.error('Error handling Razorpay webhook', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List the styles available for image transformations
+  app.get('/api/styles', validate(schemas.listStyles), async (req, res) => {
+    try {
+      const enabledStyles = await styles.listStyles();
+      res.json({ styles: enabledStyles.map(styles.toPublicStyle) });
+    } catch (error) {
+      req.log.error('Error listing styles', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List every style, including disabled ones and their prompt templates (admin only)
+  app.get('/api/admin/styles', requireAuth, requireAdmin, validate(schemas.adminListStyles), async (req, res) => {
+    try {
+      const allStyles = await styles.listStyles({ includeDisabled: true });
+      res.json({ styles: allStyles });
+    } catch (error) {
+      req.log.error('Error listing styles', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create a style (admin only)
+  app.post('/api/admin/styles', requireAuth, requireAdmin, validate(schemas.createStyle), async (req, res) => {
+    try {
+      const { id, ...data } = req.body;
+      const style = await styles.createStyle(id, data, req.user.uid);
+      res.status(201).json({ style });
+    } catch (error) {
+      if (error.code === 'STYLE_EXISTS') {
+        return sendInputError(res, { code: error.code, message: error.message, field: error.field });
+      }
+      req.log.error('Error creating style', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update a style, creating a new version of it (admin only)
+  app.patch('/api/admin/styles/:styleId', requireAuth, requireAdmin, validate(schemas.updateStyle), async (req, res) => {
+    try {
+      const style = await styles.updateStyle(req.params.styleId, req.body, req.user.uid);
+
+      if (!style) {
+        return res.status(404).json({ error: 'Style not found' });
+      }
+
+      res.json({ style });
+    } catch (error) {
+      req.log.error('Error updating style', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Disable a style so it can no longer be used for new generations (admin only)
+  app.post('/api/admin/styles/:styleId/disable', requireAuth, requireAdmin, validate(schemas.disableStyle), async (req, res) => {
+    try {
+      const style = await styles.updateStyle(req.params.styleId, { enabled: false }, req.user.uid);
+
+      if (!style) {
+        return res.status(404).json({ error: 'Style not found' });
+      }
+
+      res.json({ style });
+    } catch (error) {
+      req.log.error('Error disabling style', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Search users by exact ID or by email/name prefix (admin only)
+  app.get('/api/admin/users', requireAuth, requireAdmin, validate(schemas.searchUsers), async (req, res) => {
+    try {
+      const users = await firebase.searchUsers(req.query.q.trim());
+      res.json({ users });
+    } catch (error) {
+      req.log.error('Error searching users', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get a user with their balance as rebuilt from the ledger (admin only)
+  app.get('/api/admin/users/:userId', requireAuth, requireAdmin, validate(schemas.adminGetUser), async (req, res) => {
+    try {
+      const user = await firebase.getUserById(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const ledgerBalance = await ledger.getLedgerBalance(user.id);
+      res.json({ user, ledgerBalance });
+    } catch (error) {
+      req.log.error('Error getting user for admin', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get any user's images (admin only)
+  app.get('/api/admin/users/:userId/images', requireAuth, requireAdmin, validate(schemas.adminListUserImages), listRoute({
+    key: 'images',
+    list: firebase.listUserImages,
+    filterNames: ['style', 'favorite', 'tag'],
+    parseFilters: gallery.parseImageFilters,
+    errorMessage: 'Error getting user images for admin:'
+  }));
+
+  // Get any user's transactions (admin only)
+  app.get('/api/admin/users/:userId/transactions', requireAuth, requireAdmin, validate(schemas.adminListUserTransactions), listRoute({
+    key: 'transactions',
+    list: firebase.listUserTransactions,
+    filterNames: ['type'],
+    errorMessage: 'Error getting user transactions for admin:'
+  }));
+
+  // Grant or deduct credits, e.g. after a failed generation (admin only)
+  app.post('/api/admin/users/:userId/credits', requireAuth, requireAdmin, validate(schemas.adjustUserCredits), async (req, res) => {
+    try {
+      const { amount, reason } = req.body;
+      const { userId } = req.params;
+
+      if (!(await firebase.getUserById(userId))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const result = await admin.adjustUserCredits({
+        adminId: req.user.uid,
+        userId,
+        amount,
+        reason: reason.trim()
+      });
+
+      req.log.info('Admin adjusted user credits', { adminId: req.user.uid, userId, amount });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_CREDITS') {
+        return sendInputError(res, { code: error.code, message: `Cannot deduct more than the user's ${error.available} available credits`, field: 'amount' });
+      }
+      req.log.error('Error adjusting user credits', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Ban or unban a user (admin only). Banning needs a reason, see schemas.banUser.
+  const setBannedRoute = (banned) => async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      const user = await admin.setUserBanned({
+        adminId: req.user.uid,
+        userId: req.params.userId,
+        banned,
+        reason: typeof reason === 'string' ? reason.trim() : null
+      });
+
+      req.log.info(banned ? 'Admin banned user' : 'Admin unbanned user', { adminId: req.user.uid, userId: req.params.userId });
+      res.json({ success: true, user });
+    } catch (error) {
+      if (error.code === 'USER_NOT_FOUND') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      req.log.error('Error updating user ban', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  app.post('/api/admin/users/:userId/ban', requireAuth, requireAdmin, validate(schemas.banUser), setBannedRoute(true));
+  app.post('/api/admin/users/:userId/unban', requireAuth, requireAdmin, validate(schemas.unbanUser), setBannedRoute(false));
+
+  // Refund a purchase, fully or in part, and take back its unused credits (admin only)
+  app.post('/api/admin/refunds', requireAuth, requireAdmin, validate(schemas.refundPurchase), async (req, res) => {
+    try {
+      const { transactionId, amount, reason, allowSpentCredits } = req.body;
+
+      const refund = await refunds.refundPurchase({
+        razorpay,
+        adminId: req.user.uid,
+        transactionId,
+        amount,
+        reason: reason.trim(),
+        allowSpentCredits: allowSpentCredits === true
+      });
+
+      req.log.info('Admin refunded purchase', { adminId: req.user.uid, transactionId, refundId: refund.refundId, amount: refund.amount });
+      res.json({ success: true, ...refund });
+    } catch (error) {
+      if (error.code === 'TRANSACTION_NOT_FOUND') {
+        return res.status(404).json({ error: 'Purchase transaction not found' });
+      }
+      if (error.code === 'INVALID_REFUND') {
+        return sendInputError(res, { code: error.code, message: error.message, field: 'amount' });
+      }
+      if (error.code === 'CREDITS_SPENT') {
+        return res.status(409).json({
+          error: `${error.message}. Set allowSpentCredits to refund anyway and flag the shortfall.`,
+          credits: error.credits,
+          unusedCredits: error.unusedCredits
+        });
+      }
+      // Razorpay API errors aren't Error instances and carry their reason in error.description
+      if (error.error && error.error.description) {
+        req.log.warn('Razorpay refund failed', { transactionId: req.body.transactionId, razorpayError: error.error });
+        return res.status(502).json({ error: `Razorpay refused the refund: ${error.error.description}` });
+      }
+      req.log.error('Error refunding purchase', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Recent moderation rejections and unchecked generations, e.g. ?status=pending (admin only)
+  app.get('/api/admin/moderation/reviews', requireAuth, requireAdmin, validate(schemas.listModerationReviews), async (req, res) => {
+    try {
+      const reviews = await moderation.getModerationReviews({ status: req.query.status });
+      res.json({ reviews });
+    } catch (error) {
+      req.log.error('Error getting moderation reviews', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Recent admin actions, optionally for one user or style (admin only)
+  app.get('/api/admin/audit-log', requireAuth, requireAdmin, validate(schemas.getAuditLog), async (req, res) => {
+    try {
+      const entries = await admin.getAuditLog({ targetId: req.query.targetId });
+      res.json({ entries });
+    } catch (error) {
+      req.log.error('Error getting audit log', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Upload and transform image to Ghibli style
+  app.post('/api/upload-image', refuseWhileDraining, requireAuth, rateLimit('upload-image'), uploadMiddleware, validate(schemas.uploadImage), async (req, res) => {
+    // Only the options are logged; prompts and file names can be personal
+    req.log.info('Upload request received', {
+      style: req.body.style,
+      provider: req.body.provider,
+      detailLevel: req.body.detailLevel,
+      hasPrompt: Boolean(req.body.prompt),
+      file: req.file ? { mimetype: req.file.mimetype, size: req.file.size } : null
+    });
+
+    // Credit hold, concurrency slot and temporary upload for this generation, all released by the background job
+    let holdId = null;
+    let releaseSlot = null;
+    let removeTempFiles = null;
+
+    try {
+      const userId = req.user.uid;
+
+      const { error: optionsError, ...options } = await resolveGenerationOptions(req.body);
+
+      if (optionsError) {
+        return sendInputError(res, optionsError);
+      }
+
+      const { prompt, detailLevel, detailSettings, style, provider, creditCost } = options;
+
+      // Check the content is a supported image, then work only with the cleaned
+      // copy: upright and without EXIF/GPS metadata
+      const { file, error: uploadError } = await uploads.validateUpload(req.file);
+
+      if (uploadError) {
+        req.log.warn('Upload rejected', { code: uploadError.code, reason: uploadError.error });
+        return sendUploadError(res, uploadError, 'image');
+      }
+
+      // Get user from Firebase
+      const user = await firebase.getUserById(userId);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Each generation costs two paid OpenAI calls, so cap how many a user can run at once
+      releaseSlot = await acquireConcurrencySlot('upload-image', userId);
+
+      if (!releaseSlot) {
+        res.set('Retry-After', '10');
+        return res.status(429).json({ error: 'You already have the maximum number of images being generated. Please wait for one to finish.' });
+      }
+
+      // Hold the credit cost before any paid OpenAI call, so concurrent requests can't overdraw the balance
+      try {
+        const hold = await ledger.reserveCredits(userId, creditCost, { reason: 'image-transformation' });
+        holdId = hold.holdId;
+      } catch (reserveError) {
+        if (reserveError.code === 'INSUFFICIENT_CREDITS') {
+          await releaseSlot();
+          return sendInputError(res, { code: reserveError.code, message: 'Not enough credits', required: creditCost, available: reserveError.available });
+        }
+        throw reserveError;
+      }
+
+      const tempUpload = await saveTempUpload(req, file);
+      const { fileUrl, cleanupTempFiles } = tempUpload;
+      removeTempFiles = tempUpload.removeTempFiles;
+
+      // Generation takes 30-60s, so run it as a background job and answer right away.
+      // Clients follow progress via /api/jobs/:id or its event stream.
+      const job = await jobs.createJob({
+        userId,
+        type: 'image-transformation',
+        holdId,
+        input: { prompt, style: style.id, styleVersion: style.version, detailLevel, creditCost, provider: provider.name, originalImageUrl: fileUrl }
+      });
+
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        detailLevel,
+        creditCost,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+      });
+
+      const releaseJobSlot = releaseSlot;
+      releaseSlot = null;
+      removeTempFiles = null;
+      lifecycle.trackGeneration(job.id, holdId, runTransformationJob({
+        jobId: job.id,
+        userId,
+        file,
+        prompt,
+        style,
+        detailSettings,
+        creditCost,
+        provider,
+        holdId,
+        fileUrl,
+        cleanupTempFiles,
+        log: req.log
+      })).finally(releaseJobSlot);
+    } catch (error) {
+      req.log.error('Error starting image transformation', error);
+      await releaseCreditHold(holdId, 'error', req.log);
+      if (releaseSlot) {
+        await releaseSlot();
+      }
+      if (removeTempFiles) {
+        await removeTempFiles();
+      }
+      if (error.code === 'TEMP_STORAGE_FULL') {
+        return res.status(503).json({ error: 'The server is busy with other uploads. Please try again in a moment.', code: error.code });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Transform several images with the same style and prompt. Credits for the
+  // whole batch are held up front, and each image is its own job, charged only
+  // if it succeeds.
+  app.post('/api/batches', refuseWhileDraining, requireAuth, rateLimit('upload-batch'), batchUploadMiddleware, validate(schemas.createBatch), async (req, res) => {
+    const holdIds = [];
+    const createdJobIds = [];
+    const tempFileRemovals = [];
+    let releaseSlot = null;
+
+    try {
+      const userId = req.user.uid;
+
+      const { error: optionsError, ...options } = await resolveGenerationOptions(req.body);
+
+      if (optionsError) {
+        return sendInputError(res, optionsError);
+      }
+
+      const { prompt, detailLevel, detailSettings, style, provider, creditCost } = options;
+
+      // Every image must be valid before any of them is started
+      const files = [];
+      for (const [index, uploadedFile] of req.files.entries()) {
+        const { file, error: uploadError } = await uploads.validateUpload(uploadedFile);
+
+        if (uploadError) {
+          req.log.warn('Batch upload rejected', { index, code: uploadError.code, reason: uploadError.error });
+          return sendUploadError(res, uploadError, 'images', { index, filename: uploadedFile.originalname });
+        }
+        files.push(file);
+      }
+
+      const user = await firebase.getUserById(userId);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const totalCreditCost = creditCost * files.length;
+      const available = (user.credits || 0) - (user.heldCredits || 0);
+
+      if (available < totalCreditCost) {
+        return sendInputError(res, { code: 'INSUFFICIENT_CREDITS', message: `Not enough credits: this batch needs ${totalCreditCost}`, required: totalCreditCost, available });
+      }
+
+      // One batch at a time per user; its images already run several at once
+      releaseSlot = await acquireConcurrencySlot('upload-batch', userId);
+
+      if (!releaseSlot) {
+        res.set('Retry-After', '30');
+        return res.status(429).json({ error: 'You already have a batch being generated. Please wait for it to finish.' });
+      }
+
+      // Hold every item's credits before starting, so the whole batch is covered
+      try {
+        for (let i = 0; i < files.length; i++) {
+          const hold = await ledger.reserveCredits(userId, creditCost, { reason: 'image-transformation' });
+          holdIds.push(hold.holdId);
+        }
+      } catch (reserveError) {
+        if (reserveError.code === 'INSUFFICIENT_CREDITS') {
+          await Promise.all(holdIds.map(holdId => releaseCreditHold(holdId, 'batch-rejected', req.log)));
+          holdIds.length = 0;
+          await releaseSlot();
+          return sendInputError(res, { code: reserveError.code, message: `Not enough credits: this batch needs ${totalCreditCost}`, required: totalCreditCost, available: reserveError.available });
+        }
+        throw reserveError;
+      }
+
+      const batchId = batches.newBatchId();
+      const items = [];
+
+      for (const [index, file] of files.entries()) {
+        const { fileUrl, cleanupTempFiles, removeTempFiles } = await saveTempUpload(req, file);
+        tempFileRemovals.push(removeTempFiles);
+        const job = await jobs.createJob({
+          userId,
+          type: 'image-transformation',
+          holdId: holdIds[index],
+          input: { batchId, prompt, style: style.id, styleVersion: style.version, detailLevel, creditCost, provider: provider.name, originalImageUrl: fileUrl }
+        });
+        createdJobIds.push(job.id);
+
+        items.push({
+          jobId: job.id,
+          filename: file.originalname,
+          run: () => lifecycle.trackGeneration(job.id, holdIds[index], runTransformationJob({
+            jobId: job.id,
+            userId,
+            file,
+            prompt,
+            style,
+            detailSettings,
+            creditCost,
+            provider,
+            holdId: holdIds[index],
+            fileUrl,
+            cleanupTempFiles,
+            log: req.log.child({ batchId })
+          }))
+        });
+      }
+
+      await batches.createBatch(batchId, {
+        userId,
+        items: items.map(({ jobId, filename }) => ({ jobId, filename })),
+        input: { prompt: prompt || null, style: style.id, styleVersion: style.version, detailLevel, creditCost, provider: provider.name }
+      });
+
+      res.status(202).json({
+        success: true,
+        batchId,
+        detailLevel,
+        creditCost,
+        totalCreditCost,
+        statusUrl: `/api/batches/${batchId}`,
+        items: items.map(({ jobId, filename }) => ({
+          jobId,
+          filename,
+          statusUrl: `/api/jobs/${jobId}`,
+          eventsUrl: `/api/jobs/${jobId}/events`
+        }))
+      });
+
+      const releaseBatchSlot = releaseSlot;
+      releaseSlot = null;
+      batches.runWithConcurrency(items.map(item => item.run), BATCH_CONCURRENCY).finally(releaseBatchSlot);
+    } catch (error) {
+      req.log.error('Error starting batch transformation', error);
+      await Promise.all(holdIds.map(holdId => releaseCreditHold(holdId, 'error', req.log)));
+      await Promise.all(createdJobIds.map(jobId => jobs.failJob(jobId, 500, { error: 'The batch could not be started' }).catch(() => {})));
+      await Promise.all(tempFileRemovals.map(removeTempFiles => removeTempFiles()));
+      if (releaseSlot) {
+        await releaseSlot();
+      }
+      if (error.code === 'TEMP_STORAGE_FULL') {
+        return res.status(503).json({ error: 'The server is busy with other uploads. Please try again in a moment.', code: error.code });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get a batch with the status of each of its images. Other users' batches are reported as not found.
+  app.get('/api/batches/:id', requireAuth, validate(schemas.getBatch), async (req, res) => {
+    try {
+      const batch = await batches.getBatch(req.params.id);
+
+      if (!batch || batch.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      res.json({ batch });
+    } catch (error) {
+      req.log.error('Error getting batch', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Run the slow part of an image transformation (sharp, then the provider's describe
+  // and generate steps) and report progress and the outcome on the job.
+  // Never throws; failures end up on the job.
+  const runTransformationJob = async ({ jobId, userId, file, prompt, style, detailSettings, creditCost, provider, holdId, fileUrl, cleanupTempFiles, log = logger }) => {
+    // Each stage logs through its own child logger, so every line carries the job and stage
+    const jobLog = log.child({ jobId, userId });
+    let stageLog = jobLog;
+
+    const enterStage = async (stage) => {
+      stageLog = jobLog.child({ stage });
+      await jobs.setStage(jobId, stage);
+    };
+
+    // Batch items still queued when a shutdown starts are not started at all
+    if (lifecycle.isDraining()) {
+      jobLog.info('Not starting generation while draining');
+      await releaseCreditHold(holdId, 'shutdown', jobLog);
+      await jobs.failInterruptedJob(jobId).catch(() => {});
+      cleanupTempFiles();
+      return;
+    }
+
+    // Declare processedImageBuffer at the outer scope so it's accessible throughout the function
+    // Initialize with the original buffer as a fallback
+    let processedImageBuffer = file.buffer;
+
+    try {
+      const endSharpTimer = metrics.startStageTimer('sharp', provider.name);
+
+      try {
+        await enterStage('preprocessing');
+
+        try {
+          // Process the image buffer with sharp
+          processedImageBuffer = await sharp(file.buffer, { failOnError: false })
+            .resize({ width: 1024, height: 1024, fit: 'inside', withoutEnlargement: true })
+            .toColorspace('srgb') // Use standard RGB colorspace
+            .ensureAlpha() // Ensure the image has an alpha channel (RGBA)
+            .png({ quality: 90, force: true }) // Force PNG output
+            .toBuffer();
+
+          // Log the image format for debugging
+          const metadata = await sharp(processedImageBuffer).metadata();
+          stageLog.debug('Image format details', {
+            format: metadata.format,
+            channels: metadata.channels,
+            space: metadata.space,
+            hasAlpha: metadata.hasAlpha,
+            width: metadata.width,
+            height: metadata.height
+          });
+        } catch (sharpError) {
+          // Fallback: Just use the original buffer if Sharp processing fails
+          stageLog.warn('Error processing image with Sharp, using the original buffer', sharpError);
+          processedImageBuffer = file.buffer;
+        }
+
+        // Check buffer size
+        const bufferSizeInMB = processedImageBuffer.length / (1024 * 1024);
+        stageLog.info('Image processed in memory', { sizeMB: Number(bufferSizeInMB.toFixed(2)) });
+
+        // If the buffer is too large, compress it further
+        if (bufferSizeInMB > 3.9) {
+          try {
+            // Compress the image further
+            processedImageBuffer = await sharp(processedImageBuffer, { failOnError: false })
+              .resize({ width: 800, height: 800, fit: 'inside' })
+              .toColorspace('srgb') // Use standard RGB colorspace
+              .ensureAlpha() // Ensure the image has an alpha channel (RGBA)
+              .png({ quality: 80, compressionLevel: 9, force: true }) // Force PNG output with high compression
+              .toBuffer();
+
+            // Log the compressed image format for debugging
+            const compressedMetadata = await sharp(processedImageBuffer).metadata();
+            stageLog.debug('Compressed image format details', {
+              format: compressedMetadata.format,
+              channels: compressedMetadata.channels,
+              space: compressedMetadata.space,
+              hasAlpha: compressedMetadata.hasAlpha,
+              width: compressedMetadata.width,
+              height: compressedMetadata.height
+            });
+
+            const compressedSizeInMB = processedImageBuffer.length / (1024 * 1024);
+            stageLog.info('Compressed processed image', { sizeMB: Number(compressedSizeInMB.toFixed(2)) });
+          } catch (compressionError) {
+            stageLog.warn('Error compressing image with Sharp, skipping compression', compressionError);
+            // We'll still try to use the uncompressed buffer
+            // DALL-E might reject it, but we'll let the API handle that error
+          }
+        }
+
+        endSharpTimer();
+      } catch (err) {
+        endSharpTimer('error');
+        stageLog.error('Error processing image', err);
+
+        // If we have a critical error that prevents us from continuing, return an error response
+        // Otherwise, we'll continue with the original buffer
+        if (!processedImageBuffer) {
+          await releaseCreditHold(holdId, 'preprocessing-failed', stageLog);
+          await jobs.failJob(jobId, 400, {
+            error: 'Failed to process the uploaded image. Please try a different image.',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            fileInfo: file ? {
+              originalname: file.originalname,
+              mimetype: file.mimetype,
+              size: file.size,
+              inMemory: true
+            } : 'No file info available'
+          });
+          cleanupTempFiles();
+          return;
+        }
+
+        // If we have a processedImageBuffer (either from successful processing or fallback),
+        // we can continue with the process
+        stageLog.warn('Continuing with available image buffer despite processing error');
+      }
+
+      // Get user prompt or use default
+      const userPrompt = prompt || 'Transform this image into Studio Ghibli style';
+
+      // Make sure processedImageBuffer is defined, fallback to original buffer if not
+      if (!processedImageBuffer) {
+        stageLog.warn('processedImageBuffer is undefined, using original buffer');
+        processedImageBuffer = file.buffer;
+      }
+
+      // Check the prompt and image before any paid call
+      await enterStage('moderating');
+      const moderationResult = await metrics.timeStage('moderation', provider.name, () => moderator.check({ prompt, imageBuffer: processedImageBuffer }));
+
+      if (moderationResult.unchecked) {
+        // A failure to log it is already reported and doesn't stop the generation
+        await moderation.recordUnchecked({ userId, jobId, prompt, imageBuffer: processedImageBuffer }).catch(() => {});
+      }
+
+      if (moderationResult.unavailable) {
+        await releaseCreditHold(holdId, 'moderation-unavailable', stageLog);
+        await jobs.failJob(jobId, 503, {
+          error: 'We could not check your image right now. Your credit has not been charged, please try again in a moment.',
+          code: 'MODERATION_UNAVAILABLE'
+        });
+
+        cleanupTempFiles();
+        return;
+      }
+
+      if (!moderationResult.allowed) {
+        stageLog.info('Moderation rejected the job', { reasons: moderationResult.reasons.map(reason => reason.code) });
+        await releaseCreditHold(holdId, 'moderation-rejected', stageLog);
+
+        // A failure to log the attempt is already reported and doesn't change the outcome
+        await moderation.recordRejection({ userId, jobId, prompt, imageBuffer: processedImageBuffer, reasons: moderationResult.reasons }).catch(() => {});
+
+        await jobs.failJob(jobId, 400, {
+          error: 'Your image or prompt was rejected by our content policy. Please try a different image or instructions.',
+          code: 'CONTENT_REJECTED',
+          reasons: moderationResult.reasons
+        });
+
+        cleanupTempFiles();
+        return;
+      }
+
+      await enterStage('analyzing');
+      stageLog.info('Describing the uploaded image', { provider: provider.name });
+
+      // Describe the image at the requested level of detail (image-to-image providers skip this and return no description)
+      const { description: imageDescription } = await metrics.timeStage('vision', provider.name, () => provider.describe({
+        imageBuffer: processedImageBuffer,
+        descriptionDetail: detailSettings.descriptionDetail,
+        style
+      }));
+      // The description itself can be personal, so only its size is logged
+      stageLog.info('Image described', { descriptionLength: imageDescription ? imageDescription.length : 0 });
+
+      // Check if the vision model was unable to analyze the image properly
+      if (imageDescription && imageDescription.startsWith('I\'m unable to analyze the image in detail as requested')) {
+        stageLog.warn('Vision model unable to analyze image properly');
+        await releaseCreditHold(holdId, 'vision-failed', stageLog);
+
+        // Report the error on the job
+        await jobs.failJob(jobId, 400, {
+          error: 'Our AI system could not properly analyze your image. Please try a different image with clearer content.',
+          details: 'Vision model unable to process image details'
+        });
+
+        // Clean up temporary files now that the job has finished
+        cleanupTempFiles();
+        return;
+      }
+
+      await enterStage('prompting');
+
+      // Create a very specific prompt for the image model focused on Studio Ghibli style
+      let finalPrompt = "";
+
+      // Start with a clear instruction about what we want
+      if (imageDescription) {
+        finalPrompt += "I want you to create a Studio Ghibli style artwork by Hayao Miyazaki based on this image description. ";
+      } else {
+        // Image-to-image providers work on the uploaded picture itself
+        finalPrompt += "I want you to turn this photo into a Studio Ghibli style artwork by Hayao Miyazaki, keeping its composition and subjects. ";
+      }
+
+      // Add the image description from the describe step
+      if (imageDescription) {
+        // Extract the first 3-4 sentences for key content
+        const sentences = imageDescription
+        // .split('.')
+        //   .filter(s => s.trim().length > 0)
+        //   .slice(0, 4)
+        //   .map(s => s.trim() + '.');
+
+        finalPrompt += `The image shows: ${sentences
+          // .join(' ')
+        } `;
+      }
+
+      // Add the specific Studio Ghibli style instruction
+      finalPrompt += `${style.promptTemplate}. `;
+
+      // Add user instructions if provided
+      if (prompt && prompt.trim() !== '') {
+        finalPrompt += `${userPrompt}. `;
+      }
+
+      // Add very specific Ghibli style references
+      // finalPrompt += `IMPORTANT: This MUST be in the authentic Studio Ghibli style, specifically inspired by Hayao Miyazaki's direction. `;
+      // finalPrompt += `Use these core visual characteristics: `;
+      // finalPrompt += `1) Hand-painted, textured backgrounds with a watercolor or gouache feel, `;
+      // finalPrompt += `2) Soft, natural pastel tones with occasional vibrant highlights for emphasis, `;
+      // finalPrompt += `3) Stylized anime character design with gentle proportions and expressive, large eyes, `;
+      // finalPrompt += `4) Emphasis on natural elements — detailed skies, wind-blown grass, trees, water reflections, and ambient light, `;
+      // finalPrompt += `5) Whimsical, peaceful atmosphere with a sense of magic or quiet wonder, similar to films like 'My Neighbor Totoro' or 'Spirited Away'. `;
+      // finalPrompt += `This must look like an actual animation frame captured from a Studio Ghibli film, complete with cinematic depth and painterly texture.`;
+
+
+      // Truncate if needed
+      const MAX_PROMPT_LENGTH = 950;
+      if (finalPrompt.length > MAX_PROMPT_LENGTH) {
+        stageLog.info('Prompt is longer than the usual limit', { promptLength: finalPrompt.length, maxPromptLength: MAX_PROMPT_LENGTH });
+        // finalPrompt = finalPrompt.substring(0, MAX_PROMPT_LENGTH) + '...';
+      }
+
+      // HD generations follow the upload's orientation, everything else is square
+      const { width: inputWidth, height: inputHeight } = await sharp(processedImageBuffer).metadata().catch(() => ({}));
+      const orientation = detail.getOrientation(detailSettings, inputWidth, inputHeight);
+
+      // Generate a Studio Ghibli style image with the selected provider
+      await enterStage('generating');
+      stageLog.info('Calling the image provider', { provider: provider.name, promptLength: finalPrompt.length, orientation });
+
+      let generated;
+      try {
+        // The style's model hint only applies to the provider it was written for
+        const model = style.provider === provider.name ? style.model : null;
+        generated = await metrics.timeStage('generation', provider.name, () => provider.generate({
+          prompt: finalPrompt,
+          imageBuffer: processedImageBuffer,
+          style,
+          model,
+          quality: detailSettings.quality,
+          orientation
+        }));
+
+        stageLog.info('Image provider response received');
+      } catch (providerError) {
+        stageLog.error('Image provider error', providerError);
+        await releaseCreditHold(holdId, 'generation-failed', stageLog);
+
+        // Check if this is a file format error
+        if (providerError.message && providerError.message.includes('Invalid input image')) {
+          await jobs.failJob(jobId, 400, {
+            error: 'The image format is not compatible with our AI system. Please try a different image.',
+            details: providerError.message
+          });
+        } else {
+          // For other provider errors
+          await jobs.failJob(jobId, 500, {
+            error: 'Error generating image with AI. Please try again or use a different image.',
+            details: process.env.NODE_ENV === 'development' ? providerError.message : undefined
+          });
+        }
+
+        // Clean up temporary files now that the job has finished
+        cleanupTempFiles();
+        return;
+      }
+
+      // Check if we have a valid response
+      if (!generated || (!generated.imageUrl && !generated.imageBuffer)) {
+        stageLog.error('Invalid response from image provider', { response: generated });
+        await releaseCreditHold(holdId, 'invalid-response', stageLog);
+
+        await jobs.failJob(jobId, 500, {
+          error: 'Failed to generate image. The AI service returned an invalid response.',
+          details: process.env.NODE_ENV === 'development' ? 'Missing image in provider response' : undefined
+        });
+
+        // Clean up temporary files now that the job has finished
+        cleanupTempFiles();
+        return;
+      }
+
+      await enterStage('saving');
+
+      // Provider URLs expire (OpenAI's after about an hour), so keep our own copy
+      let storedImage;
+      try {
+        // Keep the upload too, since its temp file is deleted once the job ends
+        storedImage = await metrics.timeStage('persistence', provider.name, () => images.persistGeneratedImage(userId, generated, { sourceBuffer: processedImageBuffer }));
+        stageLog.info('Stored generated image', { storageBackend: storedImage.storageBackend });
+      } catch (storageError) {
+        if (!generated.imageUrl) {
+          throw storageError;
+        }
+        // The image is already paid for, so still deliver it and flag the record for a retry
+        stageLog.error('Falling back to the temporary provider URL', storageError);
+        storedImage = { imageUrl: generated.imageUrl, persisted: false };
+      }
+      const { imageUrl } = storedImage;
+      const originalImageUrl = storedImage.sourceImageUrl || fileUrl;
+
+      // The image exists now, so spend the held credits
+      const { applied, status: holdStatus, credits: updatedCredits } = await ledger.commitHold(holdId, { reason: 'image-transformation' });
+
+      // The hold was settled elsewhere, e.g. released as stale or by a shutdown,
+      // so the user hasn't paid for this image and doesn't get it
+      if (!applied) {
+        stageLog.warn('Credit hold was already settled, discarding the generated image', { holdId, holdStatus });
+        await images.removeStoredImage(storedImage.storagePaths)
+          .catch(error => stageLog.error('Error removing discarded image', error));
+
+        await jobs.failJob(jobId, 503, {
+          error: 'Your image took too long to finish. Your credit has not been charged, please try again.',
+          code: 'HOLD_EXPIRED'
+        }).catch(() => {});
+
+        cleanupTempFiles();
+        return;
+      }
+
+      const committedHoldId = holdId;
+      holdId = null;
+      stageLog.info('Deducted credits', { creditCost, balance: updatedCredits });
+
+      // The parameters that actually shaped this generation
+      const generationSettings = {
+        tier: detailSettings.tier,
+        descriptionDetail: detailSettings.descriptionDetail,
+        orientation,
+        quality: generated.settings ? generated.settings.quality : detailSettings.quality,
+        size: generated.settings ? generated.settings.size : null,
+        creditCost
+      };
+
+      // Save the generated image to Firebase
+      const savedImage = await firebase.saveGeneratedImage({
+        userId,
+        prompt: userPrompt,
+        enhancedPrompt: finalPrompt,
+        imageDescription: imageDescription,
+        originalImageUrl,
+        style: style.id,
+        styleVersion: style.version,
+        detailLevel: detailSettings.detailLevel,
+        generationSettings,
+        provider: provider.name,
+        models: provider.models,
+        persisted: true,
+        ...storedImage
+      });
+
+      // Record the image generation transaction
+      await firebase.saveTransaction({
+        userId,
+        imageId: savedImage.id,
+        holdId: committedHoldId,
+        credits: -creditCost,
+        type: 'image-transformation',
+        prompt: userPrompt
+      });
+
+      const completed = await jobs.completeJob(jobId, {
+        success: true,
+        imageId: savedImage.id,
+        imageUrl,
+        webImageUrl: storedImage.webImageUrl || imageUrl,
+        thumbnailUrl: storedImage.thumbnailUrl || imageUrl,
+        originalImageUrl,
+        credits: updatedCredits,
+        originalPrompt: userPrompt,
+        enhancedPrompt: finalPrompt,
+        imageDescription: imageDescription,
+        detailLevel: detailSettings.detailLevel,
+        generationSettings
+      });
+      if (!completed) {
+        stageLog.warn('Job had already finished, so its result was not recorded');
+      }
+
+      // Clean up temporary files now that the job has finished
+      cleanupTempFiles();
+    } catch (error) {
+      stageLog.error('Error transforming image', error);
+
+      // Give the held credit back unless it was already spent
+      await releaseCreditHold(holdId, 'error', stageLog);
+
+      // Clean up temporary files now that the job has finished
+      cleanupTempFiles();
+
+      // Determine the appropriate status code and error message
+      let statusCode = 500;
+      let errorMessage = error.message || 'An unknown error occurred';
+      let errorCode;
+
+      // Check for specific error types
+      if (error.status === 400) {
+        statusCode = 400;
+        // For prompt length errors
+        if (errorMessage.includes('too long')) {
+          errorMessage = 'The prompt was too long. Please try a shorter description.';
+        }
+        // For image format errors
+        else if (errorMessage.includes('image must be a PNG') || errorMessage.includes('invalid_image_format')) {
+          errorMessage = 'There was an issue with the image format. Please try a different image.';
+        }
+        // For invalid input image format
+        else if (errorMessage.includes('Invalid input image') || errorMessage.includes('format must be')) {
+          errorMessage = 'The image format is not compatible. Please try a different image with a simpler format.';
+        }
+        // For content policy violations
+        else if (errorMessage.includes('content policy') || errorMessage.includes('safety')) {
+          errorMessage = 'Your request was rejected due to content policy. Please try different instructions.';
+          errorCode = 'CONTENT_REJECTED';
+        }
+      }
+
+      await jobs.failJob(jobId, statusCode, {
+        error: errorMessage,
+        code: errorCode,
+        details: process.env.NODE_ENV === 'development' ? error.toString() : undefined
+      }).catch(() => {});
+    }
+  };
+
+  // Get the status of a generation job, including its result once it is done
+  app.get('/api/jobs/:id', requireAuth, validate(schemas.getJob), async (req, res) => {
+    try {
+      const job = await jobs.getJob(req.params.id);
+
+      // Other users' jobs are reported as missing rather than forbidden
+      if (!job || job.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json({ job });
+    } catch (error) {
+      req.log.error('Error getting job', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Stream a generation job's progress as Server-Sent Events. Clients can
+  // reconnect at any time and will get the job's current state first.
+  app.get('/api/jobs/:id/events', acceptQueryToken, requireAuth, validate(schemas.streamJobEvents), async (req, res) => {
+    try {
+      const job = await jobs.getJob(req.params.id);
+
+      if (!job || job.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+      });
+      res.flushHeaders();
+
+      const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      // Comment lines keep proxies from closing an idle connection
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+      let lastStage = null;
+      let stopWatching = () => {};
+      const close = () => {
+        clearInterval(heartbeat);
+        stopWatching();
+        res.end();
+      };
+
+      stopWatching = jobs.watchJob(job.id, (currentJob) => {
+        if (currentJob.stage !== lastStage) {
+          lastStage = currentJob.stage;
+          sendEvent('stage', { jobId: currentJob.id, status: currentJob.status, stage: currentJob.stage });
+        }
+
+        if (currentJob.status === 'done') {
+          sendEvent('done', { jobId: currentJob.id, result: currentJob.result });
+          close();
+        } else if (currentJob.status === 'failed') {
+          sendEvent('failed', { jobId: currentJob.id, error: currentJob.error });
+          close();
+        }
+      }, (watchError) => {
+        req.log.error('Error watching job', { jobId: job.id, err: watchError });
+        sendEvent('error', { jobId: job.id, error: 'Lost track of the job, please reconnect' });
+        close();
+      });
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        stopWatching();
+      });
+    } catch (error) {
+      req.log.error('Error streaming job events', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  // Generate image from text prompt with OpenAI - Not used anymore
+  // We're focusing only on image transformation
+  app.post('/api/generate-image', validate(schemas.generateImage), async (_req, res) => {
+    // Return a message indicating this endpoint is no longer supported
+    sendInputError(res, {
+      code: 'ENDPOINT_REMOVED',
+      message: 'This endpoint is no longer supported. Please use /api/upload-image to transform your images to Ghibli style.'
+    });
+  });
+
+  // OpenAPI document built from the routes above and their schemas (see openapi.js).
+  // Routes can't change once the app is built, so it is built once.
+  let openApiSpec = null;
+  app.get('/api/openapi.json', validate(schemas.getOpenApiSpec), (_req, res) => {
+    openApiSpec = openApiSpec || openapi.buildSpec(app);
+    res.json(openApiSpec);
+  });
+
+  // No longer using the enhanced prompt function as we're keeping prompts simple and direct
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+  releaseCreditHold
+};
@@ -0,0 +1,44 @@
+const { collection, doc, addDoc } = require('./stores');
+const { db } = require('./firebase');
+const { logger } = require('./logger');
+
+// Audit trail for admin actions. Entries are append-only and record who did
+// what to whom, with the values before and after the change.
+
+const auditLogCollection = collection(db, 'audit_log');
+
+const toAuditEntry = ({ adminId, action, targetType, targetId, before, after, reason }) => ({
+  adminId,
+  action,
+  targetType,
+  targetId,
+  // Firestore rejects undefined values
+  before: before === undefined ? null : before,
+  after: after === undefined ? null : after,
+  reason: reason || null,
+  createdAt: new Date()
+});
+
+const recordAdminAction = async (entry) => {
+  try {
+    const auditDocRef = await addDoc(auditLogCollection, toAuditEntry(entry));
+    return auditDocRef.id;
+  } catch (error) {
+    logger.error('Error writing audit log entry', error);
+    throw error;
+  }
+};
+
+// Queue an audit entry on a Firestore transaction, so it is written if and
+// only if the change it describes is
+const writeAdminAction = (transaction, entry) => {
+  const auditDocRef = doc(auditLogCollection);
+  transaction.set(auditDocRef, toAuditEntry(entry));
+  return auditDocRef.id;
+};
+
+module.exports = {
+  auditLogCollection,
+  recordAdminAction,
+  writeAdminAction
+};
@@ -0,0 +1,138 @@
+const { initializeApp, cert } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getUserById } = require('./firebase');
+const { logger } = require('./logger');
+
+// Stub tokens (see below) must be switched on explicitly, and never mix with
+// service account credentials, which mean a real project
+const stubAuthAllowed = process.env.NODE_ENV !== 'production' &&
+  (process.env.ALLOW_STUB_AUTH === '1' || process.env.NODE_ENV === 'test');
+const hasServiceAccount = Boolean(process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY);
+
+if (process.env.AUTH_STUB_TOKENS && stubAuthAllowed && hasServiceAccount) {
+  const error = new Error('AUTH_STUB_TOKENS cannot be used with FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY. Remove the stub tokens or the service account credentials.');
+  error.code = 'STUB_AUTH_WITH_CREDENTIALS';
+  throw error;
+}
+
+// Firebase Admin only needs the project ID to verify ID tokens. Service account
+// credentials are optional here and only used if they are configured.
+const adminConfig = { projectId: process.env.FIREBASE_PROJECT_ID };
+
+if (hasServiceAccount) {
+  adminConfig.credential = cert({
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+    privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+  });
+}
+
+const adminApp = initializeApp(adminConfig);
+
+// When FIREBASE_AUTH_EMULATOR_HOST is set, firebase-admin accepts the
+// emulator's unsigned tokens, so this works locally without real users.
+if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+  logger.info('Verifying ID tokens against the Auth emulator', { host: process.env.FIREBASE_AUTH_EMULATOR_HOST });
+}
+
+let verifyToken = (idToken) => getAuth(adminApp).verifyIdToken(idToken);
+
+// For local testing without the emulator, AUTH_STUB_TOKENS maps fixed tokens
+// to user IDs, e.g. "alice-token:alice,root-token:root:admin". A trailing
+// ":admin" grants the admin claim. Only honored with ALLOW_STUB_AUTH=1 (or
+// NODE_ENV=test), and never in production.
+if (process.env.AUTH_STUB_TOKENS && !stubAuthAllowed) {
+  logger.warn('Ignoring AUTH_STUB_TOKENS. Set ALLOW_STUB_AUTH=1 to use stub ID tokens outside production.');
+}
+
+if (process.env.AUTH_STUB_TOKENS && stubAuthAllowed) {
+  const stubTokens = new Map(process.env.AUTH_STUB_TOKENS.split(',').map(entry => {
+    const [token, uid, role] = entry.trim().split(':');
+    return [token, { uid, admin: role === 'admin' }];
+  }));
+  logger.warn('Using stub ID tokens from AUTH_STUB_TOKENS. Do not use this in production.');
+
+  verifyToken = async (idToken) => {
+    if (!stubTokens.has(idToken)) {
+      throw new Error('Unknown stub token');
+    }
+    return stubTokens.get(idToken);
+  };
+}
+
+// Swap the token verifier, e.g. for a stub that maps fixed tokens to users in tests
+const setTokenVerifier = (verifier) => {
+  verifyToken = verifier;
+};
+
+// Require a valid Firebase ID token in the Authorization header and expose
+// the verified identity as req.user. Routes must use req.user.uid rather
+// than any user ID sent by the client. Banned users are turned away here.
+const requireAuth = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer (.+)$/);
+
+  if (!match) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await verifyToken(match[1]);
+  } catch (error) {
+    logger.warn('ID token verification failed', { reason: error.message });
+    return res.status(401).json({ error: 'Invalid or expired authentication token' });
+  }
+
+  try {
+    const user = await getUserById(decodedToken.uid);
+
+    if (user && user.banned) {
+      return res.status(403).json({ error: 'This account has been suspended' });
+    }
+
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email || null,
+      claims: decodedToken
+    };
+    next();
+  } catch (error) {
+    logger.error('Error checking user status', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// EventSource can't send headers, so streaming routes may pass the ID token
+// as ?access_token= instead. Use before requireAuth on those routes only.
+const acceptQueryToken = (req, _res, next) => {
+  if (!req.get('Authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Only allow the authenticated user to access routes scoped to their own user ID
+const requireSelf = (paramName = 'userId') => (req, res, next) => {
+  if (req.params[paramName] !== req.user.uid) {
+    return res.status(403).json({ error: 'You do not have access to this user' });
+  }
+  next();
+};
+
+// Only allow users with the `admin` custom claim. Use after requireAuth.
+// Grant it with firebase-admin: getAuth().setCustomUserClaims(uid, { admin: true })
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.claims.admin !== true) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  requireAdmin,
+  requireSelf,
+  acceptQueryToken,
+  setTokenVerifier
+};
@@ -0,0 +1,99 @@
+const { collection, doc, getDoc, setDoc } = require('./stores');
+const { db } = require('./firebase');
+const jobs = require('./jobs');
+const { logger } = require('./logger');
+
+// Batch transformations
+//
+// A batch is a set of ordinary transformation jobs, one per uploaded image,
+// started together and run a few at a time. The batch document only records
+// which jobs belong to it; each item's status is read from its job, so a
+// batch is finished once all of its jobs are.
+
+const batchesCollection = collection(db, 'batches');
+
+// Reserve an ID up front so the batch's jobs can refer to it
+const newBatchId = () => doc(batchesCollection).id;
+
+const createBatch = async (batchId, { userId, items, input }) => {
+  try {
+    const batch = {
+      userId,
+      items,
+      input,
+      createdAt: new Date()
+    };
+
+    await setDoc(doc(batchesCollection, batchId), batch);
+    return { id: batchId, ...batch };
+  } catch (error) {
+    logger.error('Error creating batch', error);
+    throw error;
+  }
+};
+
+// The batch with the current status of each item, or null if it doesn't exist
+const getBatch = async (batchId) => {
+  try {
+    const batchDocSnap = await getDoc(doc(batchesCollection, batchId));
+
+    if (!batchDocSnap.exists()) {
+      return null;
+    }
+
+    const batch = batchDocSnap.data();
+    const itemJobs = await Promise.all(batch.items.map(item => jobs.getJob(item.jobId)));
+
+    const items = batch.items.map((item, index) => {
+      const job = itemJobs[index] || { status: 'failed', stage: 'failed', result: null, error: { error: 'Job not found' } };
+      return {
+        ...item,
+        status: job.status,
+        stage: job.stage,
+        result: job.result,
+        error: job.error
+      };
+    });
+
+    const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+    items.forEach(item => {
+      counts[item.status]++;
+    });
+
+    return {
+      id: batchDocSnap.id,
+      ...batch,
+      createdAt: batch.createdAt.toDate(),
+      status: counts.queued + counts.running > 0 ? 'running' : 'done',
+      counts,
+      // Only items that produced an image are charged
+      creditsCharged: counts.done * batch.input.creditCost,
+      items
+    };
+  } catch (error) {
+    logger.error('Error getting batch', error);
+    throw error;
+  }
+};
+
+// Run async tasks with at most `limit` in flight. Tasks must not throw.
+const runWithConcurrency = async (tasks, limit) => {
+  let nextTask = 0;
+
+  const worker = async () => {
+    while (nextTask < tasks.length) {
+      const task = tasks[nextTask++];
+      await task();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+};
+
+module.exports = {
+  batchesCollection,
+  newBatchId,
+  createBatch,
+  getBatch,
+  runWithConcurrency
+};
@@ -0,0 +1,68 @@
+// Maps the user's `detailLevel` (0-100) to concrete generation settings.
+//
+//   0-33   draft     brief description,    standard quality, always square
+//   34-69  standard  detailed description, standard quality, always square
+//   70-100 hd        exhaustive description, HD quality, follows the upload's orientation
+//
+// HD costs more at OpenAI, so it also costs HD_EXTRA_CREDITS on top of the style's credit cost.
+
+const DEFAULT_DETAIL_LEVEL = 50;
+
+const HD_EXTRA_CREDITS = parseInt(process.env.HD_EXTRA_CREDITS || '1', 10);
+
+const DETAIL_TIERS = [
+  { tier: 'draft', maxLevel: 33, descriptionDetail: 'brief', quality: 'standard', matchOrientation: false },
+  { tier: 'standard', maxLevel: 69, descriptionDetail: 'detailed', quality: 'standard', matchOrientation: false },
+  { tier: 'hd', maxLevel: 100, descriptionDetail: 'exhaustive', quality: 'hd', matchOrientation: true }
+];
+
+// Multipart fields arrive as strings. Returns { detailLevel } or { error }.
+const parseDetailLevel = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { detailLevel: DEFAULT_DETAIL_LEVEL };
+  }
+
+  const detailLevel = Number(value);
+
+  if (!Number.isInteger(detailLevel) || detailLevel < 0 || detailLevel > 100) {
+    return { error: 'detailLevel must be a whole number between 0 and 100' };
+  }
+
+  return { detailLevel };
+};
+
+const getDetailSettings = (detailLevel) => {
+  const { tier, descriptionDetail, quality, matchOrientation } = DETAIL_TIERS.find(t => detailLevel <= t.maxLevel);
+
+  return {
+    detailLevel,
+    tier,
+    descriptionDetail,
+    quality,
+    matchOrientation,
+    extraCredits: quality === 'hd' ? HD_EXTRA_CREDITS : 0
+  };
+};
+
+// Pick square, landscape or portrait output based on the uploaded image's shape
+const getOrientation = (settings, width, height) => {
+  if (!settings.matchOrientation || !width || !height) {
+    return 'square';
+  }
+
+  const ratio = width / height;
+  if (ratio >= 1.3) {
+    return 'landscape';
+  }
+  if (ratio <= 0.77) {
+    return 'portrait';
+  }
+  return 'square';
+};
+
+module.exports = {
+  DEFAULT_DETAIL_LEVEL,
+  parseDetailLevel,
+  getDetailSettings,
+  getOrientation
+};
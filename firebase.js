@@ -1,34 +1,39 @@
-const { initializeApp } = require('firebase/app');
-const { getFirestore, collection, doc, getDoc, setDoc, updateDoc, addDoc, query, where, orderBy, getDocs } = require('firebase/firestore');
-
-// Check if Firebase credentials are available
-if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_API_KEY) {
-  console.error('Error: Firebase credentials are missing. Please check your .env file.');
-  console.error('Make sure you have FIREBASE_PROJECT_ID and FIREBASE_API_KEY defined.');
-  process.exit(1);
-}
-
-// Initialize Firebase
-const firebaseConfig = {
-  apiKey: process.env.FIREBASE_API_KEY,
-  authDomain: process.env.FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.FIREBASE_PROJECT_ID,
-  storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID || '714147266029',
-  appId: process.env.FIREBASE_APP_ID || '1:714147266029:web:04a3a15ced332f784c3be4',
-  measurementId: process.env.FIREBASE_MEASUREMENT_ID || 'G-PM7GWZNHHF'
-};
-
-const app = initializeApp(firebaseConfig);
-console.log('Firebase initialized with project ID:', process.env.FIREBASE_PROJECT_ID);
+const {
+  db,
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  addDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getDocs,
+  runTransaction,
+  getCountFromServer,
+  documentId,
+  Timestamp
+} = require('./stores');
+const { logger } = require('./logger');
 
-// Initialize Firestore
-const db = getFirestore(app);
+// Users, images and transactions
+//
+// These functions are the app's repository for its main collections. They
+// read and write through the document store (./stores), which is Firestore in
+// production and an in-memory store in tests (STORE_BACKEND).
 
 // Collection references
 const usersCollection = collection(db, 'users');
 const imagesCollection = collection(db, 'images');
 const transactionsCollection = collection(db, 'transactions');
+const processedPaymentsCollection = collection(db, 'processed_payments');
+const ledgerCollection = collection(db, 'ledger');
+const creditHoldsCollection = collection(db, 'credit_holds');
+const processedRefundsCollection = collection(db, 'processed_refunds');
+const deletedImagesCollection = collection(db, 'deleted_images');
 
 // User functions
 const getUserById = async (userId) => {
@@ -41,14 +46,24 @@ const getUserById = async (userId) => {
     }
     return { id: userDocSnap.id, ...userDocSnap.data() };
   } catch (error) {
-    console.error('Error getting user:', error);
+    logger.error('Error getting user', error);
     throw error;
   }
 };
 
+// Profile fields a client may set. Everything else (credits, bans, ...) is server-managed.
+const USER_PROFILE_FIELDS = ['name', 'displayName', 'email', 'photoURL'];
+
 const createOrUpdateUser = async (userData) => {
   try {
-    const { id, ...userDataWithoutId } = userData;
+    const { id } = userData;
+    const profile = {};
+    USER_PROFILE_FIELDS
+      .filter(field => userData[field] !== undefined)
+      .forEach(field => {
+        profile[field] = userData[field];
+      });
+
     const userDocRef = doc(usersCollection, id);
 
     // Check if user exists
@@ -57,49 +72,104 @@ const createOrUpdateUser = async (userData) => {
     if (userDocSnap.exists()) {
       // Update existing user
       await updateDoc(userDocRef, {
-        ...userDataWithoutId,
+        ...profile,
         updatedAt: new Date()
       });
     } else {
       // Create new user
       await setDoc(userDocRef, {
-        ...userDataWithoutId,
+        ...profile,
+        credits: 0,
         createdAt: new Date(),
         updatedAt: new Date()
       });
     }
 
-    return { id, ...userDataWithoutId };
+    return { id, ...profile };
   } catch (error) {
-    console.error('Error creating/updating user:', error);
+    logger.error('Error creating/updating user', error);
     throw error;
   }
 };
 
-const updateUserCredits = async (userId, credits) => {
+// Find users for support: an exact user ID match first, then users whose
+// email or name starts with the search term (Firestore matching is case-sensitive)
+const searchUsers = async (searchTerm, maxResults = 20) => {
   try {
-    const userDocRef = doc(usersCollection, userId);
-    const userDocSnap = await getDoc(userDocRef);
+    const results = new Map();
 
-    if (!userDocSnap.exists()) {
-      throw new Error(`User with ID ${userId} not found`);
+    const exactMatch = await getUserById(searchTerm);
+    if (exactMatch) {
+      results.set(exactMatch.id, exactMatch);
     }
 
-    const userData = userDocSnap.data();
-    const updatedCredits = (userData.credits || 0) + credits;
-
-    await updateDoc(userDocRef, {
-      credits: updatedCredits,
-      updatedAt: new Date()
-    });
+    for (const field of ['email', 'name']) {
+      const usersQuery = query(
+        usersCollection,
+        where(field, '>=', searchTerm),
+        where(field, '<=', `${searchTerm}\uf8ff`),
+        limit(maxResults)
+      );
+      const usersSnapshot = await getDocs(usersQuery);
+      usersSnapshot.docs.forEach(userDoc => {
+        results.set(userDoc.id, { id: userDoc.id, ...userDoc.data() });
+      });
+    }
 
-    return updatedCredits;
+    return [...results.values()].slice(0, maxResults);
   } catch (error) {
-    console.error('Error updating user credits:', error);
+    logger.error('Error searching users', error);
     throw error;
   }
 };
 
+// Page through a user's documents in a collection, newest first.
+// `cursor` is the last item of the previous page as { createdAt, id };
+// `nextCursor` is null on the last page. `total` counts every match, not just this page.
+// `arrayContains` ({ field: value }) matches array fields; Firestore allows one per query.
+// Every filter combination needs composite indexes, listed in firestore.indexes.json.
+const listUserDocuments = async (collectionRef, userId, { filters = {}, arrayContains = {}, from, to, cursor, pageSize = 20 } = {}) => {
+  const constraints = [
+    where('userId', '==', userId),
+    ...Object.entries(filters).map(([field, value]) => where(field, '==', value)),
+    ...Object.entries(arrayContains).map(([field, value]) => where(field, 'array-contains', value))
+  ];
+  if (from) {
+    constraints.push(where('createdAt', '>=', from));
+  }
+  if (to) {
+    constraints.push(where('createdAt', '<', to));
+  }
+
+  const filteredQuery = query(collectionRef, ...constraints);
+  const pageQuery = query(
+    filteredQuery,
+    orderBy('createdAt', 'desc'),
+    orderBy(documentId(), 'desc'),
+    ...(cursor ? [startAfter(Timestamp.fromDate(cursor.createdAt), cursor.id)] : []),
+    // One extra document tells us whether there is a next page
+    limit(pageSize + 1)
+  );
+
+  const [pageSnapshot, countSnapshot] = await Promise.all([
+    getDocs(pageQuery),
+    getCountFromServer(filteredQuery)
+  ]);
+
+  const items = pageSnapshot.docs.slice(0, pageSize).map(itemDoc => ({
+    id: itemDoc.id,
+    ...itemDoc.data(),
+    createdAt: itemDoc.data().createdAt.toDate()
+  }));
+  const lastItem = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: pageSnapshot.docs.length > pageSize ? { createdAt: lastItem.createdAt, id: lastItem.id } : null,
+    total: countSnapshot.data().count
+  };
+};
+
 // Image functions
 const saveGeneratedImage = async (imageData) => {
   try {
@@ -110,28 +180,69 @@ const saveGeneratedImage = async (imageData) => {
 
     return { id: imageDocRef.id, ...imageData };
   } catch (error) {
-    console.error('Error saving generated image:', error);
+    logger.error('Error saving generated image', error);
     throw error;
   }
 };
 
-const getUserImages = async (userId) => {
+const getImageById = async (imageId) => {
   try {
-    const imagesQuery = query(
-      imagesCollection,
-      where('userId', '==', userId),
-      orderBy('createdAt', 'desc')
-    );
+    const imageDocSnap = await getDoc(doc(imagesCollection, imageId));
+
+    if (!imageDocSnap.exists()) {
+      return null;
+    }
+    return { id: imageDocSnap.id, ...imageDocSnap.data(), createdAt: imageDocSnap.data().createdAt.toDate() };
+  } catch (error) {
+    logger.error('Error getting image', error);
+    throw error;
+  }
+};
+
+// Soft-delete an image by moving its document to `deleted_images` under the
+// same ID, which hides it from every listing. Returns the archived image, or
+// null if it doesn't exist.
+const archiveGeneratedImage = async (imageId, details = {}) => {
+  try {
+    return await runTransaction(db, async (transaction) => {
+      const imageDocRef = doc(imagesCollection, imageId);
+      const imageDocSnap = await transaction.get(imageDocRef);
+
+      if (!imageDocSnap.exists()) {
+        return null;
+      }
+
+      const archived = { ...imageDocSnap.data(), ...details, deletedAt: new Date() };
+      transaction.set(doc(deletedImagesCollection, imageId), archived);
+      transaction.delete(imageDocRef);
+
+      return { id: imageId, ...archived };
+    });
+  } catch (error) {
+    logger.error('Error archiving generated image', error);
+    throw error;
+  }
+};
 
-    const imagesSnapshot = await getDocs(imagesQuery);
+const updateGeneratedImage = async (imageId, updates) => {
+  try {
+    const imageDocRef = doc(imagesCollection, imageId);
+    await updateDoc(imageDocRef, {
+      ...updates,
+      updatedAt: new Date()
+    });
+  } catch (error) {
+    logger.error('Error updating generated image', error);
+    throw error;
+  }
+};
 
-    return imagesSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt.toDate()
-    }));
+// Paginated and filtered images, see listUserDocuments
+const listUserImages = async (userId, options) => {
+  try {
+    return await listUserDocuments(imagesCollection, userId, options);
   } catch (error) {
-    console.error('Error getting user images:', error);
+    logger.error('Error listing user images', error);
     throw error;
   }
 };
@@ -146,42 +257,98 @@ const saveTransaction = async (transactionData) => {
 
     return { id: transactionDocRef.id, ...transactionData };
   } catch (error) {
-    console.error('Error saving transaction:', error);
+    logger.error('Error saving transaction', error);
+    throw error;
+  }
+};
+
+// Paginated and filtered transactions, see listUserDocuments
+const listUserTransactions = async (userId, options) => {
+  try {
+    return await listUserDocuments(transactionsCollection, userId, options);
+  } catch (error) {
+    logger.error('Error listing user transactions', error);
     throw error;
   }
 };
 
-const getUserTransactions = async (userId) => {
+const getTransactionById = async (transactionId) => {
+  try {
+    const transactionDocSnap = await getDoc(doc(transactionsCollection, transactionId));
+
+    if (!transactionDocSnap.exists()) {
+      return null;
+    }
+    return { id: transactionDocSnap.id, ...transactionDocSnap.data() };
+  } catch (error) {
+    logger.error('Error getting transaction', error);
+    throw error;
+  }
+};
+
+// Find every transaction matching all of the given field values
+const findTransactions = async (filters) => {
   try {
     const transactionsQuery = query(
       transactionsCollection,
-      where('userId', '==', userId),
-      orderBy('createdAt', 'desc')
+      ...Object.entries(filters).map(([field, value]) => where(field, '==', value))
     );
 
     const transactionsSnapshot = await getDocs(transactionsQuery);
 
-    return transactionsSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt.toDate()
-    }));
+    return transactionsSnapshot.docs.map(transactionDoc => ({ id: transactionDoc.id, ...transactionDoc.data() }));
+  } catch (error) {
+    logger.error('Error finding transactions', error);
+    throw error;
+  }
+};
+
+// Find a single transaction matching all of the given field values,
+// e.g. { paymentId, type: 'purchase' }
+const findTransaction = async (filters) => {
+  try {
+    const transactionsQuery = query(
+      transactionsCollection,
+      ...Object.entries(filters).map(([field, value]) => where(field, '==', value)),
+      limit(1)
+    );
+
+    const transactionsSnapshot = await getDocs(transactionsQuery);
+
+    if (transactionsSnapshot.empty) {
+      return null;
+    }
+
+    const transactionDoc = transactionsSnapshot.docs[0];
+    return { id: transactionDoc.id, ...transactionDoc.data() };
   } catch (error) {
-    console.error('Error getting user transactions:', error);
+    logger.error('Error finding transaction', error);
     throw error;
   }
 };
 
 module.exports = {
   db,
+  USER_PROFILE_FIELDS,
   usersCollection,
   imagesCollection,
   transactionsCollection,
+  processedPaymentsCollection,
+  ledgerCollection,
+  creditHoldsCollection,
+  processedRefundsCollection,
+  deletedImagesCollection,
   getUserById,
   createOrUpdateUser,
-  updateUserCredits,
+  searchUsers,
   saveGeneratedImage,
-  getUserImages,
+  getImageById,
+  updateGeneratedImage,
+  archiveGeneratedImage,
+  listUserImages,
   saveTransaction,
-  getUserTransactions
+  listUserTransactions,
+  getTransactionById,
+  findTransactions,
+  findTransaction
 };
@@ -0,0 +1,123 @@
+const firebase = require('./firebase');
+const images = require('./images');
+const shares = require('./shares');
+const { logger } = require('./logger');
+
+// Gallery management: users can title, tag and favorite their generated
+// images, and delete them. Deleted images are archived in `deleted_images`
+// (so support can still see what was generated) and their stored files removed.
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+
+// Tags are matched exactly, so store them trimmed and lowercased
+const normalizeTag = (tag) => tag.trim().toLowerCase();
+
+// Schemas for validate() (see validation.js). Lengths and counts are
+// checked by parseImageUpdate, after trimming and removing duplicate tags.
+const imageUpdateSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', nullable: true, description: `Up to ${MAX_TITLE_LENGTH} characters; null or blank removes it` },
+    tags: { type: 'array', items: { type: 'string' }, description: `Up to ${MAX_TAGS} tags of ${MAX_TAG_LENGTH} characters, stored lowercased` },
+    favorite: { type: 'boolean' }
+  }
+};
+
+const imageFilterProperties = {
+  style: { type: 'string', description: 'Only images in this style' },
+  // Older images have no favorite field, so only favorite=true can be matched
+  favorite: { type: 'string', enum: ['true'], description: 'Only favorite images' },
+  tag: { type: 'string', description: 'Only images with this tag' }
+};
+
+// Takes a body already checked against imageUpdateSchema.
+// Returns { updates } or { error, field }.
+const parseImageUpdate = (body = {}) => {
+  const updates = {};
+
+  if (body.title !== undefined) {
+    const title = body.title === null ? '' : body.title.trim();
+    if (title.length > MAX_TITLE_LENGTH) {
+      return { error: `title must be at most ${MAX_TITLE_LENGTH} characters`, field: 'title' };
+    }
+    updates.title = title || null;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = [...new Set(body.tags.map(normalizeTag).filter(Boolean))];
+    if (tags.length > MAX_TAGS) {
+      return { error: `an image can have at most ${MAX_TAGS} tags`, field: 'tags' };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `tags must be at most ${MAX_TAG_LENGTH} characters`, field: 'tags' };
+    }
+    updates.tags = tags;
+  }
+
+  if (body.favorite !== undefined) {
+    updates.favorite = body.favorite;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: 'Nothing to update. Send title, tags or favorite.' };
+  }
+
+  return { updates };
+};
+
+// Turn the images listing's `style`, `favorite` and `tag` query filters
+// (see imageFilterProperties) into Firestore filters.
+// Returns { filters, arrayContains }.
+const parseImageFilters = ({ style, favorite, tag }) => {
+  const filters = {};
+  const arrayContains = {};
+
+  if (style) {
+    filters.style = style;
+  }
+
+  if (favorite) {
+    filters.favorite = true;
+  }
+
+  if (tag) {
+    arrayContains.tags = normalizeTag(tag);
+  }
+
+  return { filters, arrayContains };
+};
+
+// Archive the image, then revoke its shares and remove its files. The image
+// is gone for the user even if cleaning up fails; the archived record keeps
+// its storagePaths.
+const deleteImage = async (image) => {
+  const archived = await firebase.archiveGeneratedImage(image.id);
+
+  if (!archived) {
+    return null;
+  }
+
+  try {
+    await shares.revokeImageShares(image.id, image.userId);
+  } catch (error) {
+    logger.error('Error revoking shares of deleted image', { imageId: image.id, err: error });
+  }
+
+  try {
+    await images.removeStoredImage(archived.storagePaths);
+  } catch (error) {
+    logger.error('Error removing stored files of deleted image', { imageId: image.id, err: error });
+  }
+
+  return archived;
+};
+
+module.exports = {
+  imageUpdateSchema,
+  imageFilterProperties,
+  parseImageUpdate,
+  parseImageFilters,
+  deleteImage
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { storage } = require('./storage');
+const { logger } = require('./logger');
+
+// OpenAI image URLs expire after about an hour, so generated images are
+// stored by us right away, in three renditions:
+//   original  - the PNG exactly as generated
+//   web       - WebP, max 1024px, for the gallery detail view
+//   thumbnail - WebP, max 256px, for gallery grids
+// plus the uploaded source image (WebP, max 1024px) when there is one, which
+// would otherwise be gone once the upload's temp file is cleaned up.
+
+const WEB_SIZE = 1024;
+const THUMBNAIL_SIZE = 256;
+
+const downloadImage = async (imageUrl) => {
+  const response = await fetch(imageUrl);
+
+  if (!response.ok) {
+    throw new Error(`Failed to download generated image: HTTP ${response.status}`);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Store an image buffer and its renditions under generated/<userId>/<storageId>/.
+// The original is always the first of the returned storagePaths.
+const storeImageRenditions = async (userId, imageBuffer, { sourceBuffer } = {}) => {
+  const storageId = crypto.randomUUID();
+  const prefix = `generated/${userId}/${storageId}`;
+
+  const webBuffer = await sharp(imageBuffer)
+    .resize({ width: WEB_SIZE, height: WEB_SIZE, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toBuffer();
+
+  const thumbnailBuffer = await sharp(imageBuffer)
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'cover' })
+    .webp({ quality: 70 })
+    .toBuffer();
+
+  const original = await storage.save(`${prefix}/original.png`, imageBuffer, 'image/png');
+  const web = await storage.save(`${prefix}/web.webp`, webBuffer, 'image/webp');
+  const thumbnail = await storage.save(`${prefix}/thumbnail.webp`, thumbnailBuffer, 'image/webp');
+
+  const stored = {
+    storageId,
+    storageBackend: storage.name,
+    storagePaths: [original.key, web.key, thumbnail.key],
+    imageUrl: original.url,
+    webImageUrl: web.url,
+    thumbnailUrl: thumbnail.url
+  };
+
+  if (sourceBuffer) {
+    const sourceWebBuffer = await sharp(sourceBuffer)
+      .resize({ width: WEB_SIZE, height: WEB_SIZE, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+    const source = await storage.save(`${prefix}/source.webp`, sourceWebBuffer, 'image/webp');
+
+    stored.storagePaths.push(source.key);
+    stored.sourceStoragePath = source.key;
+    stored.sourceImageUrl = source.url;
+  }
+
+  return stored;
+};
+
+// Read a stored image back, e.g. to render a share preview. Images that were
+// never persisted only have their (possibly expired) provider URL.
+const loadImage = async ({ storagePath, url }) => {
+  if (storagePath) {
+    return storage.read(storagePath);
+  }
+  return downloadImage(url);
+};
+
+// Store the output of an image provider durably. Providers return either a
+// temporary URL, which is downloaded right away, or the image bytes.
+// Returns the fields to record on the image document.
+const persistGeneratedImage = async (userId, { imageUrl, imageBuffer }, { sourceBuffer } = {}) => {
+  try {
+    const buffer = imageBuffer || await downloadImage(imageUrl);
+    return await storeImageRenditions(userId, buffer, { sourceBuffer });
+  } catch (error) {
+    logger.error('Error persisting generated image', error);
+    throw error;
+  }
+};
+
+// Delete every stored rendition of an image
+const removeStoredImage = async (storagePaths = []) => {
+  await Promise.all(storagePaths.map(key => storage.remove(key)));
+};
+
+module.exports = {
+  downloadImage,
+  storeImageRenditions,
+  persistGeneratedImage,
+  loadImage,
+  removeStoredImage
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { collection, doc, getDoc, getDocs, addDoc, updateDoc, query, where, onSnapshot, arrayUnion, runTransaction } = require('./stores');
+const { db } = require('./firebase');
+const { logger } = require('./logger');
+
+// Background generation jobs
+//
+// Jobs are stored in Firestore so clients can poll or reconnect to a job's
+// event stream at any time, from any server instance, and so job status
+// survives a restart. A job moves through these stages:
+//   queued -> preprocessing -> moderating -> analyzing -> prompting -> generating -> saving -> done
+// and can end in `failed` from any of them. Once a job is done or failed it
+// never changes again.
+//
+// Jobs run inside the server process that created them, which records its
+// instance id on the job and touches `heartbeatAt` on its unfinished jobs
+// every HEARTBEAT_INTERVAL_MS, draining or not. A job whose heartbeat is older
+// than STALE_JOB_MS has lost its process (a crash or a hard kill), so it is
+// failed by failInterruptedJobs. Jobs of other live instances, for example
+// one still draining during a rolling deploy, are left alone.
+
+const jobsCollection = collection(db, 'jobs');
+
+const TERMINAL_STATUSES = ['done', 'failed'];
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STALE_JOB_MS = 4 * HEARTBEAT_INTERVAL_MS;
+
+// Identifies this process on the jobs it runs
+const INSTANCE_ID = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+
+// Unfinished jobs created by this process, which get heartbeats
+const ownJobIds = new Set();
+
+// Firestore rejects undefined values, which error bodies often contain
+const toFirestoreData = (value) => JSON.parse(JSON.stringify(value));
+
+const toJob = (jobDocSnap) => {
+  const data = jobDocSnap.data();
+  return {
+    id: jobDocSnap.id,
+    ...data,
+    createdAt: data.createdAt.toDate(),
+    updatedAt: data.updatedAt.toDate(),
+    // Jobs from before heartbeats don't have one
+    heartbeatAt: data.heartbeatAt ? data.heartbeatAt.toDate() : null
+  };
+};
+
+const isTerminal = (job) => TERMINAL_STATUSES.includes(job.status);
+
+const createJob = async ({ userId, type, holdId, input }) => {
+  try {
+    const now = new Date();
+    const jobData = {
+      userId,
+      type,
+      holdId: holdId || null,
+      input: toFirestoreData(input || {}),
+      status: 'queued',
+      stage: 'queued',
+      stages: [{ stage: 'queued', at: now }],
+      result: null,
+      error: null,
+      instanceId: INSTANCE_ID,
+      createdAt: now,
+      updatedAt: now,
+      heartbeatAt: now
+    };
+
+    const jobDocRef = await addDoc(jobsCollection, jobData);
+    ownJobIds.add(jobDocRef.id);
+    return { id: jobDocRef.id, ...jobData };
+  } catch (error) {
+    logger.error('Error creating job', error);
+    throw error;
+  }
+};
+
+const getJob = async (jobId) => {
+  try {
+    const jobDocSnap = await getDoc(doc(jobsCollection, jobId));
+
+    if (!jobDocSnap.exists()) {
+      return null;
+    }
+    return toJob(jobDocSnap);
+  } catch (error) {
+    logger.error('Error getting job', error);
+    throw error;
+  }
+};
+
+// Move a job to `stage` unless it has already finished, or `canUpdate(job)`
+// says no. Returns whether the job was updated.
+const updateJob = async (jobId, stage, fields, canUpdate = () => true) => {
+  const updated = await runTransaction(db, async (transaction) => {
+    const jobDocRef = doc(jobsCollection, jobId);
+    const jobDocSnap = await transaction.get(jobDocRef);
+
+    if (!jobDocSnap.exists()) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    const job = toJob(jobDocSnap);
+    if (isTerminal(job) || !canUpdate(job)) {
+      return false;
+    }
+
+    const now = new Date();
+    transaction.update(jobDocRef, {
+      ...fields,
+      stage,
+      stages: arrayUnion({ stage, at: now }),
+      updatedAt: now
+    });
+    return true;
+  });
+
+  // Either way this process is done with the job
+  if (TERMINAL_STATUSES.includes(fields.status)) {
+    ownJobIds.delete(jobId);
+  }
+  return updated;
+};
+
+// Record that a running job has reached a new pipeline stage
+const setStage = async (jobId, stage) => {
+  try {
+    await updateJob(jobId, stage, { status: 'running' });
+  } catch (error) {
+    // Progress reporting must never break the generation itself
+    logger.error('Error updating job stage', { jobId, stage, err: error });
+  }
+};
+
+// Returns false if the job had already finished, e.g. failed as interrupted
+const completeJob = async (jobId, result) => {
+  try {
+    return await updateJob(jobId, 'done', { status: 'done', result: toFirestoreData(result) });
+  } catch (error) {
+    logger.error('Error completing job', error);
+    throw error;
+  }
+};
+
+// `statusCode` is the HTTP status the synchronous endpoint would have answered with.
+// Returns false if the job had already finished.
+const failJob = async (jobId, statusCode, errorBody, canUpdate) => {
+  try {
+    return await updateJob(jobId, 'failed', {
+      status: 'failed',
+      error: toFirestoreData({ statusCode, ...errorBody })
+    }, canUpdate);
+  } catch (error) {
+    logger.error('Error failing job', error);
+    throw error;
+  }
+};
+
+// Fail a job cut off by a restart or shutdown. Its credit hold is released separately.
+const failInterruptedJob = (jobId, canUpdate) => failJob(jobId, 503, {
+  error: 'The server restarted while your image was being generated. Your credit has not been charged, please try again.',
+  code: 'INTERRUPTED'
+}, canUpdate);
+
+// Call `onChange` with the job every time it changes, starting with its
+// current state. Returns a function that stops watching.
+const watchJob = (jobId, onChange, onError) => {
+  return onSnapshot(doc(jobsCollection, jobId), (jobDocSnap) => {
+    if (jobDocSnap.exists()) {
+      onChange(toJob(jobDocSnap));
+    }
+  }, onError);
+};
+
+const lastHeartbeat = (job) => job.heartbeatAt || job.updatedAt;
+
+const isStale = (job, now) => now - lastHeartbeat(job).getTime() > STALE_JOB_MS;
+
+// Fail unfinished jobs whose process has stopped sending heartbeats, so
+// clients stop waiting, and return them so their credit holds can be
+// released. Each job is checked again when it is failed, in case its
+// process was only slow.
+const failInterruptedJobs = async () => {
+  try {
+    const now = Date.now();
+    const staleJobs = [];
+
+    for (const status of ['queued', 'running']) {
+      const jobsSnapshot = await getDocs(query(jobsCollection, where('status', '==', status)));
+      staleJobs.push(...jobsSnapshot.docs.map(toJob).filter(job => isStale(job, now)));
+    }
+
+    const interruptedJobs = [];
+    for (const job of staleJobs) {
+      if (await failInterruptedJob(job.id, currentJob => isStale(currentJob, Date.now()))) {
+        interruptedJobs.push(job);
+      }
+    }
+
+    return interruptedJobs;
+  } catch (error) {
+    logger.error('Error failing interrupted jobs', error);
+    throw error;
+  }
+};
+
+// Touch the heartbeat of this process's unfinished jobs
+const sendHeartbeats = async () => {
+  const heartbeatAt = new Date();
+  await Promise.all([...ownJobIds].map(jobId => updateDoc(doc(jobsCollection, jobId), { heartbeatAt })
+    .catch(error => logger.error('Error sending job heartbeat', { jobId, err: error }))));
+};
+
+// Send heartbeats every HEARTBEAT_INTERVAL_MS until the process exits.
+// Returns a function that stops them.
+const startHeartbeats = (intervalMs = HEARTBEAT_INTERVAL_MS) => {
+  const timer = setInterval(sendHeartbeats, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  jobsCollection,
+  createJob,
+  getJob,
+  setStage,
+  completeJob,
+  failJob,
+  failInterruptedJob,
+  watchJob,
+  failInterruptedJobs,
+  startHeartbeats,
+  isTerminal,
+  INSTANCE_ID,
+  HEARTBEAT_INTERVAL_MS,
+  STALE_JOB_MS
+};
@@ -0,0 +1,508 @@
+const { doc, query, where, getDocs, runTransaction } = require('./stores');
+const {
+  db,
+  usersCollection,
+  transactionsCollection,
+  processedPaymentsCollection,
+  ledgerCollection,
+  creditHoldsCollection,
+  processedRefundsCollection
+} = require('./firebase');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Credit ledger
+//
+// Every change to a user's credits goes through a Firestore transaction that
+// updates the user document and appends an immutable entry to the `ledger`
+// collection. Entries are never updated or deleted, so a user's balance can
+// always be rebuilt by summing `delta` over their entries. Users from before
+// the ledger start with an `opening-balance` entry holding the balance they
+// had then (see writeOpeningBalance and migrate-opening-balances.js).
+//
+// Image generations use holds: `reserveCredits` moves credits from available
+// to held before any paid API call, then `commitHold` spends them on success
+// or `releaseHold` gives them back on failure. Available credits are
+// `credits - heldCredits` on the user document.
+
+// Holds older than this are assumed to belong to a crashed request
+const STALE_HOLD_AGE_MS = 15 * 60 * 1000;
+
+const insufficientCreditsError = (available, required) => {
+  const error = new Error('Not enough credits');
+  error.code = 'INSUFFICIENT_CREDITS';
+  error.available = available;
+  error.required = required;
+  return error;
+};
+
+const getBalances = (userDocSnap) => {
+  const data = userDocSnap.exists() ? userDocSnap.data() : {};
+  return {
+    credits: data.credits || 0,
+    heldCredits: data.heldCredits || 0
+  };
+};
+
+// Queue a ledger entry and the matching user balance update on a transaction
+const writeEntry = (transaction, userDocSnap, { userId, type, delta = 0, heldDelta = 0, ...details }) => {
+  const { credits, heldCredits } = getBalances(userDocSnap);
+  const now = new Date();
+  const balanceAfter = credits + delta;
+  const heldAfter = heldCredits + heldDelta;
+
+  if (userDocSnap.exists()) {
+    transaction.update(userDocSnap.ref, {
+      credits: balanceAfter,
+      heldCredits: heldAfter,
+      updatedAt: now
+    });
+  } else {
+    transaction.set(userDocSnap.ref, {
+      credits: balanceAfter,
+      heldCredits: heldAfter,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  const entryDocRef = doc(ledgerCollection);
+  transaction.set(entryDocRef, {
+    userId,
+    type,
+    delta,
+    heldDelta,
+    balanceAfter,
+    heldAfter,
+    ...details,
+    createdAt: now
+  });
+
+  return { entryId: entryDocRef.id, credits: balanceAfter, heldCredits: heldAfter };
+};
+
+// Add (or with a negative delta, remove) credits outside of a hold, e.g. for
+// refunds or admin adjustments. Balances may go negative unless
+// `preventNegative` is set, in which case INSUFFICIENT_CREDITS is thrown.
+// `writeRelated(transaction, entry)` can queue more writes (audit entries,
+// transaction records) that must only happen together with this movement.
+const adjustCredits = async (userId, delta, details = {}, { preventNegative = false, writeRelated } = {}) => {
+  try {
+    const result = await runTransaction(db, async (transaction) => {
+      const userDocSnap = await transaction.get(doc(usersCollection, userId));
+      const { credits, heldCredits } = getBalances(userDocSnap);
+
+      if (preventNegative && credits - heldCredits + delta < 0) {
+        throw insufficientCreditsError(credits - heldCredits, -delta);
+      }
+
+      const entry = writeEntry(transaction, userDocSnap, {
+        type: 'adjustment',
+        ...details,
+        userId,
+        delta
+      });
+
+      if (writeRelated) {
+        writeRelated(transaction, { ...entry, delta, creditsBefore: credits });
+      }
+
+      return entry;
+    });
+
+    const type = details.type || 'adjustment';
+    metrics.recordCreditsGranted(type, delta);
+    metrics.recordCreditsRemoved(type, -delta);
+
+    return result;
+  } catch (error) {
+    if (error.code !== 'INSUFFICIENT_CREDITS') {
+      logger.error('Error adjusting credits', error);
+    }
+    throw error;
+  }
+};
+
+// Credit a verified payment exactly once. The processed-payment record, the
+// ledger entry and the purchase transaction are written in one Firestore
+// transaction, so concurrent or replayed calls can't credit a payment twice.
+const creditPayment = async ({ userId, orderId, paymentId, amount, packId, credits }) => {
+  try {
+    const result = await runTransaction(db, async (transaction) => {
+      const processedDocRef = doc(processedPaymentsCollection, paymentId);
+
+      const processedDocSnap = await transaction.get(processedDocRef);
+
+      if (processedDocSnap.exists()) {
+        const processed = processedDocSnap.data();
+        return {
+          applied: false,
+          credits: processed.balanceAfter,
+          transactionId: processed.transactionId
+        };
+      }
+
+      const userDocSnap = await transaction.get(doc(usersCollection, userId));
+      const transactionDocRef = doc(transactionsCollection);
+      const now = new Date();
+
+      const entry = writeEntry(transaction, userDocSnap, {
+        userId,
+        type: 'purchase',
+        delta: credits,
+        paymentId,
+        transactionId: transactionDocRef.id
+      });
+
+      transaction.set(transactionDocRef, {
+        userId,
+        orderId,
+        paymentId,
+        amount,
+        packId: packId || null,
+        credits,
+        type: 'purchase',
+        createdAt: now
+      });
+
+      transaction.set(processedDocRef, {
+        paymentId,
+        orderId,
+        userId,
+        credits,
+        balanceAfter: entry.credits,
+        transactionId: transactionDocRef.id,
+        processedAt: now
+      });
+
+      return {
+        applied: true,
+        credits: entry.credits,
+        transactionId: transactionDocRef.id
+      };
+    });
+
+    if (result.applied) {
+      metrics.recordCreditsGranted('purchase', credits);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Error crediting payment', error);
+    throw error;
+  }
+};
+
+// Take back the credits for a refund exactly once per Razorpay refund ID. The
+// processed-refund record, the ledger entry and the refund transaction are
+// written together, so the admin route and the refund webhook can't both apply
+// it. Only available credits can be taken back; the rest were already spent
+// and are recorded on the refund as `creditsShortfall`.
+const clawBackRefund = async ({ userId, orderId, paymentId, refundId, purchaseTransactionId, amount, credits, initiatedBy }, { writeRelated } = {}) => {
+  try {
+    const result = await runTransaction(db, async (transaction) => {
+      const processedDocRef = doc(processedRefundsCollection, refundId);
+      const processedDocSnap = await transaction.get(processedDocRef);
+
+      if (processedDocSnap.exists()) {
+        const processed = processedDocSnap.data();
+        return {
+          applied: false,
+          credits: processed.balanceAfter,
+          creditsReversed: processed.creditsReversed,
+          creditsShortfall: processed.creditsShortfall,
+          transactionId: processed.transactionId
+        };
+      }
+
+      const userDocSnap = await transaction.get(doc(usersCollection, userId));
+      const { credits: balance, heldCredits } = getBalances(userDocSnap);
+      const creditsReversed = Math.max(0, Math.min(credits, balance - heldCredits));
+      const creditsShortfall = credits - creditsReversed;
+      const transactionDocRef = doc(transactionsCollection);
+      const now = new Date();
+
+      const entry = writeEntry(transaction, userDocSnap, {
+        userId,
+        type: 'refund',
+        delta: -creditsReversed,
+        paymentId,
+        refundId,
+        transactionId: transactionDocRef.id
+      });
+
+      transaction.set(transactionDocRef, {
+        userId,
+        orderId: orderId || null,
+        paymentId,
+        refundId,
+        purchaseTransactionId,
+        amount: -amount,
+        credits: -creditsReversed,
+        creditsShortfall,
+        flagged: creditsShortfall > 0,
+        initiatedBy,
+        type: 'refund',
+        createdAt: now
+      });
+
+      transaction.set(processedDocRef, {
+        refundId,
+        paymentId,
+        userId,
+        creditsReversed,
+        creditsShortfall,
+        balanceAfter: entry.credits,
+        transactionId: transactionDocRef.id,
+        processedAt: now
+      });
+
+      if (writeRelated) {
+        writeRelated(transaction, { ...entry, creditsBefore: balance, creditsReversed, creditsShortfall });
+      }
+
+      return {
+        applied: true,
+        credits: entry.credits,
+        creditsReversed,
+        creditsShortfall,
+        transactionId: transactionDocRef.id
+      };
+    });
+
+    if (result.applied) {
+      metrics.recordCreditsRemoved('refund', result.creditsReversed);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Error clawing back refunded credits', error);
+    throw error;
+  }
+};
+
+// Place a hold on credits before doing paid work. Throws an error with
+// code INSUFFICIENT_CREDITS if the user can't cover it.
+const reserveCredits = async (userId, amount, details = {}) => {
+  try {
+    return await runTransaction(db, async (transaction) => {
+      const userDocSnap = await transaction.get(doc(usersCollection, userId));
+      const { credits, heldCredits } = getBalances(userDocSnap);
+      const available = credits - heldCredits;
+
+      if (available < amount) {
+        throw insufficientCreditsError(available, amount);
+      }
+
+      const holdDocRef = doc(creditHoldsCollection);
+      const now = new Date();
+
+      transaction.set(holdDocRef, {
+        userId,
+        amount,
+        status: 'held',
+        ...details,
+        createdAt: now
+      });
+
+      const entry = writeEntry(transaction, userDocSnap, {
+        ...details,
+        userId,
+        type: 'hold',
+        heldDelta: amount,
+        holdId: holdDocRef.id
+      });
+
+      return {
+        holdId: holdDocRef.id,
+        available: entry.credits - entry.heldCredits
+      };
+    });
+  } catch (error) {
+    if (error.code !== 'INSUFFICIENT_CREDITS') {
+      logger.error('Error reserving credits', error);
+    }
+    throw error;
+  }
+};
+
+// Settle a hold, either spending the credits (commit) or returning them (release).
+// Settling an already settled hold is a no-op that returns the current balance.
+const settleHold = async (holdId, status, details = {}) => {
+  return runTransaction(db, async (transaction) => {
+    const holdDocRef = doc(creditHoldsCollection, holdId);
+    const holdDocSnap = await transaction.get(holdDocRef);
+
+    if (!holdDocSnap.exists()) {
+      throw new Error(`Credit hold ${holdId} not found`);
+    }
+
+    const hold = holdDocSnap.data();
+    const userDocSnap = await transaction.get(doc(usersCollection, hold.userId));
+
+    if (hold.status !== 'held') {
+      const { credits, heldCredits } = getBalances(userDocSnap);
+      return { applied: false, status: hold.status, credits, heldCredits };
+    }
+
+    transaction.update(holdDocRef, {
+      status,
+      ...details,
+      settledAt: new Date()
+    });
+
+    const entry = writeEntry(transaction, userDocSnap, {
+      ...details,
+      userId: hold.userId,
+      type: status === 'committed' ? 'commit' : 'release',
+      delta: status === 'committed' ? -hold.amount : 0,
+      heldDelta: -hold.amount,
+      holdId
+    });
+
+    return { applied: true, status, amount: hold.amount, credits: entry.credits, heldCredits: entry.heldCredits };
+  });
+};
+
+const commitHold = async (holdId, details = {}) => {
+  try {
+    const result = await settleHold(holdId, 'committed', details);
+
+    if (result.applied) {
+      metrics.recordCreditsConsumed(details.reason || 'generation', result.amount);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Error committing credit hold', error);
+    throw error;
+  }
+};
+
+const releaseHold = async (holdId, details) => {
+  try {
+    return await settleHold(holdId, 'released', details);
+  } catch (error) {
+    logger.error('Error releasing credit hold', error);
+    throw error;
+  }
+};
+
+// Release holds left behind by requests that never settled them (e.g. the
+// server crashed mid-generation). Returns the number of holds released.
+const releaseStaleHolds = async (maxAgeMs = STALE_HOLD_AGE_MS) => {
+  try {
+    const cutoff = Date.now() - maxAgeMs;
+    const holdsSnapshot = await getDocs(query(creditHoldsCollection, where('status', '==', 'held')));
+    const staleHolds = holdsSnapshot.docs.filter(holdDoc => holdDoc.data().createdAt.toMillis() < cutoff);
+
+    for (const holdDoc of staleHolds) {
+      await settleHold(holdDoc.id, 'released', { reason: 'stale' });
+    }
+
+    return staleHolds.length;
+  } catch (error) {
+    logger.error('Error releasing stale credit holds', error);
+    throw error;
+  }
+};
+
+// Write the entry that opens a user's ledger with the balance they had before
+// the ledger existed. That is the balance on the user document for users with
+// no entries yet, or what their first entry started from otherwise. Running it
+// again does nothing, and so does `dryRun`. Returns { applied, existing,
+// credits, heldCredits } with the opening balances.
+const writeOpeningBalance = async (userId, { dryRun = false } = {}) => {
+  try {
+    return await runTransaction(db, async (transaction) => {
+      const userDocSnap = await transaction.get(doc(usersCollection, userId));
+      const openingDocRef = doc(ledgerCollection, `opening-${userId}`);
+      const openingDocSnap = await transaction.get(openingDocRef);
+
+      if (openingDocSnap.exists()) {
+        const opening = openingDocSnap.data();
+        return { applied: false, existing: true, credits: opening.delta, heldCredits: opening.heldDelta };
+      }
+
+      // Queried after reading the user document, so an entry written in
+      // between changes the document and makes the transaction run again
+      const entriesSnapshot = await getDocs(query(ledgerCollection, where('userId', '==', userId)));
+      const firstEntry = entriesSnapshot.docs
+        .map(entryDoc => entryDoc.data())
+        .sort((a, b) => a.createdAt.toMillis() - b.createdAt.toMillis())[0];
+
+      const opening = firstEntry
+        ? { credits: firstEntry.balanceAfter - firstEntry.delta, heldCredits: firstEntry.heldAfter - firstEntry.heldDelta }
+        : getBalances(userDocSnap);
+
+      if (dryRun || (opening.credits === 0 && opening.heldCredits === 0)) {
+        return { applied: false, existing: false, ...opening };
+      }
+
+      const userData = userDocSnap.exists() ? userDocSnap.data() : {};
+      transaction.set(openingDocRef, {
+        userId,
+        type: 'opening-balance',
+        delta: opening.credits,
+        heldDelta: opening.heldCredits,
+        balanceAfter: opening.credits,
+        heldAfter: opening.heldCredits,
+        createdAt: userData.createdAt || new Date()
+      });
+
+      return { applied: true, existing: false, ...opening };
+    });
+  } catch (error) {
+    logger.error('Error writing opening balance', error);
+    throw error;
+  }
+};
+
+// Rebuild a user's balances from their ledger entries
+const getLedgerBalance = async (userId) => {
+  try {
+    const entriesSnapshot = await getDocs(query(ledgerCollection, where('userId', '==', userId)));
+
+    return entriesSnapshot.docs.reduce((balance, entryDoc) => {
+      const entry = entryDoc.data();
+      return {
+        credits: balance.credits + (entry.delta || 0),
+        heldCredits: balance.heldCredits + (entry.heldDelta || 0)
+      };
+    }, { credits: 0, heldCredits: 0 });
+  } catch (error) {
+    logger.error('Error getting ledger balance', error);
+    throw error;
+  }
+};
+
+// Credits a user spent from `sinceMs` on: every entry that took credits away
+// (committed holds, deductions) except refunds, which take back the credits
+// of their own purchase.
+const getCreditsSpentSince = async (userId, sinceMs) => {
+  try {
+    const entriesSnapshot = await getDocs(query(ledgerCollection, where('userId', '==', userId)));
+
+    return entriesSnapshot.docs.reduce((spent, entryDoc) => {
+      const entry = entryDoc.data();
+      const spends = entry.delta < 0 && entry.type !== 'refund' && entry.createdAt.toMillis() >= sinceMs;
+      return spends ? spent - entry.delta : spent;
+    }, 0);
+  } catch (error) {
+    logger.error('Error getting spent credits', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  adjustCredits,
+  creditPayment,
+  clawBackRefund,
+  reserveCredits,
+  commitHold,
+  releaseHold,
+  releaseStaleHolds,
+  writeOpeningBalance,
+  getLedgerBalance,
+  getCreditsSpentSince
+};
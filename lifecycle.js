@@ -0,0 +1,101 @@
+const { getStore } = require('./stores');
+
+// Server lifecycle
+//
+// /healthz (liveness) only says the process is up. /readyz (readiness) says
+// it should get traffic: the document store answers, the default image provider is
+// configured, and the server isn't shutting down.
+//
+// Generations are tracked while they run, because a generation cut off by a
+// deploy has usually already been paid for at OpenAI. On SIGTERM the server
+// drains: readiness turns false, new generations are refused, and shutdown
+// waits up to SHUTDOWN_TIMEOUT_SECONDS for the running ones to finish.
+// Whatever is still running after that is returned so its job can be failed
+// and its credit hold released before the process exits.
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 90 * 1000;
+const READINESS_CHECK_TIMEOUT_MS = 3000;
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const createLifecycle = ({ shutdownTimeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS } = {}) => {
+  let draining = false;
+  const inFlight = new Map();
+
+  // Track a running generation until its promise settles. Returns the promise.
+  const trackGeneration = (jobId, holdId, promise) => {
+    inFlight.set(jobId, { jobId, holdId, promise });
+    const untrack = () => inFlight.delete(jobId);
+    promise.then(untrack, untrack);
+    return promise;
+  };
+
+  const startDraining = () => {
+    draining = true;
+  };
+
+  // Wait for running generations, including any started while waiting, for at
+  // most `timeoutMs`. Returns the ones still running as [{ jobId, holdId }].
+  const waitForGenerations = async (timeoutMs = shutdownTimeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+
+    while (inFlight.size > 0 && Date.now() < deadline) {
+      const running = [...inFlight.values()].map(generation => generation.promise);
+      await withTimeout(Promise.allSettled(running), deadline - Date.now(), 'timeout').catch(() => {});
+    }
+
+    return [...inFlight.values()].map(({ jobId, holdId }) => ({ jobId, holdId }));
+  };
+
+  return {
+    shutdownTimeoutMs,
+    trackGeneration,
+    startDraining,
+    waitForGenerations,
+    isDraining: () => draining,
+    inFlightCount: () => inFlight.size
+  };
+};
+
+const checkStore = async () => {
+  try {
+    const store = getStore();
+    await withTimeout(store.ping(), READINESS_CHECK_TIMEOUT_MS, `${store.name} did not answer in time`);
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+const checkProvider = (imageProviders) => {
+  const missing = imageProviders.missingConfiguration(imageProviders.defaultName);
+  return missing.length > 0
+    ? { ok: false, name: imageProviders.defaultName, error: `Missing ${missing.join(', ')}` }
+    : { ok: true, name: imageProviders.defaultName };
+};
+
+// Returns { ready, checks } for /readyz
+const checkReadiness = async ({ lifecycle, imageProviders }) => {
+  const checks = {
+    draining: { ok: !lifecycle.isDraining() },
+    provider: checkProvider(imageProviders),
+    store: await checkStore()
+  };
+
+  return {
+    ready: Object.values(checks).every(check => check.ok),
+    checks
+  };
+};
+
+module.exports = {
+  DEFAULT_SHUTDOWN_TIMEOUT_MS,
+  createLifecycle,
+  checkReadiness
+};
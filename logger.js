@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+// Logging
+//
+// Logs are written as one JSON object per line:
+//   { "time": ..., "level": "info", "msg": "...", "requestId": "...", ... }
+// Levels are debug, info, warn and error; LOG_LEVEL (default info) sets the
+// lowest one written. warn and error go to stderr, the rest to stdout.
+//
+// Call sites pass a message and optionally fields, or an Error:
+//   logger.info('Payment captured', { orderId, paymentId });
+//   logger.error('Error getting user', error);
+//   logger.error('Error getting user', { userId, err: error });
+// `child(bindings)` returns a logger that adds `bindings` to every line. Each
+// request gets one carrying its request id (see requestLogger), and jobs and
+// generation stages derive their own from it.
+//
+// Fields are redacted before writing: values under keys that look like
+// secrets (signatures, keys, tokens, passwords, cookies) are replaced, and so
+// are data: URLs and long base64 strings, so image payloads never reach logs.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /signature|secret|passw(or)?d|token|authorization|cookie|api[-_]?key|key[-_]?id|private[-_]?key|^key$/i;
+const DATA_URL_PATTERN = /^data:[^,]{0,100},/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]{200,}={0,2}$/;
+const MAX_DEPTH = 6;
+
+const resolveLevel = (name) => {
+  const level = String(name || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+  stack: error.stack
+});
+
+const redactString = (value) => {
+  if (DATA_URL_PATTERN.test(value) || BASE64_PATTERN.test(value)) {
+    return `[base64 payload, ${value.length} chars]`;
+  }
+  return value;
+};
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[buffer, ${value.length} bytes]`;
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) && item != null ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+};
+
+// An Error as the second argument is shorthand for { err: error }
+const normalizeFields = (fields) => {
+  if (fields instanceof Error) {
+    return { err: fields };
+  }
+  if (fields && typeof fields === 'object') {
+    return fields;
+  }
+  return fields === undefined ? {} : { value: fields };
+};
+
+const createLogger = ({ level = process.env.LOG_LEVEL, bindings = {}, write } = {}) => {
+  const minLevel = LEVELS[resolveLevel(level)];
+
+  const writeLine = write || ((levelName, line) => {
+    const stream = LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  });
+
+  const log = (levelName, msg, fields) => {
+    if (LEVELS[levelName] < minLevel) {
+      return;
+    }
+
+    const entry = redact({
+      ...bindings,
+      ...normalizeFields(fields)
+    });
+
+    writeLine(levelName, JSON.stringify({
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...entry
+    }));
+  };
+
+  return {
+    level: resolveLevel(level),
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    isLevelEnabled: (levelName) => LEVELS[levelName] >= minLevel,
+    child: (childBindings) => createLogger({ level, bindings: { ...bindings, ...childBindings }, write })
+  };
+};
+
+const logger = createLogger();
+
+// Client-supplied request ids are echoed back only if they look like ids
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Middleware that gives every request an id and a logger (`req.log`) bound to
+// it. The id is taken from the X-Request-Id header when the client or a proxy
+// sent one, generated otherwise, and always echoed in the response. Completed
+// requests are logged with their status and duration, under the matched route
+// pattern (/share/:token) rather than the URL, so ids and tokens stay out.
+const requestLogger = (baseLogger = logger) => (req, res, next) => {
+  const headerId = req.get('X-Request-Id');
+  const requestId = headerId && REQUEST_ID_PATTERN.test(headerId) ? headerId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = baseLogger.child({ requestId });
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const levelName = res.statusCode >= 500 ? 'error' : 'info';
+    req.log[levelName]('Request completed', {
+      method: req.method,
+      path: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ...(req.user && { userId: req.user.uid })
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  logger,
+  createLogger,
+  requestLogger,
+  redact
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+
+// Prometheus metrics
+//
+// Served at /metrics in the Prometheus text format. Besides the default
+// process metrics (CPU, memory, event loop lag, GC) there are:
+//   http_request_duration_seconds{method, route, status_code}
+//   generation_stage_duration_seconds{stage, provider, outcome}
+//   openai_errors_total{operation, category}
+//   credits_granted_total{source}
+//   credits_consumed_total{reason}
+//   credits_removed_total{reason}
+//   payment_verifications_total{source, result}
+//
+// Labels only take values from small fixed sets (route patterns, stage and
+// provider names, error categories), never user, image or payment ids, so the
+// number of series stays bounded.
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration by route pattern and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// Stages: sharp, moderation, vision, generation, persistence
+const generationStageDuration = new client.Histogram({
+  name: 'generation_stage_duration_seconds',
+  help: 'Duration of each image generation pipeline stage',
+  labelNames: ['stage', 'provider', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+  registers: [register]
+});
+
+const openaiErrors = new client.Counter({
+  name: 'openai_errors_total',
+  help: 'Failed OpenAI API calls by operation and error category',
+  labelNames: ['operation', 'category'],
+  registers: [register]
+});
+
+const creditsGranted = new client.Counter({
+  name: 'credits_granted_total',
+  help: 'Credits added to user balances, by source',
+  labelNames: ['source'],
+  registers: [register]
+});
+
+const creditsConsumed = new client.Counter({
+  name: 'credits_consumed_total',
+  help: 'Credits spent on generations',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const creditsRemoved = new client.Counter({
+  name: 'credits_removed_total',
+  help: 'Credits taken back by refunds and admin deductions',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const paymentVerifications = new client.Counter({
+  name: 'payment_verifications_total',
+  help: 'Razorpay signature verifications by source (client or webhook) and result',
+  labelNames: ['source', 'result'],
+  registers: [register]
+});
+
+// Route pattern of a finished request, e.g. /api/images/:id. Requests that
+// matched no route share one label instead of their raw paths.
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Middleware that times every request
+const httpMetrics = () => (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    endTimer({ method: req.method, route: routeLabel(req), status_code: String(res.statusCode) });
+  });
+
+  next();
+};
+
+// Time `fn` as a pipeline stage, recording whether it succeeded
+const timeStage = async (stage, provider, fn) => {
+  const endTimer = generationStageDuration.startTimer({ stage, provider });
+
+  try {
+    const result = await fn();
+    endTimer({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    throw error;
+  }
+};
+
+// Start timing a stage whose end isn't a single call. Returns a function
+// that records it with its outcome.
+const startStageTimer = (stage, provider) => {
+  const endTimer = generationStageDuration.startTimer({ stage, provider });
+  return (outcome = 'success') => endTimer({ outcome });
+};
+
+// Sort an OpenAI SDK error into a small set of categories
+const categorizeOpenAIError = (error) => {
+  const message = (error && error.message) || '';
+
+  if (error && (error.code === 'content_policy_violation' || /safety system|content policy/i.test(message))) {
+    return 'content_policy';
+  }
+  if (error && error.name === 'APIConnectionTimeoutError') {
+    return 'timeout';
+  }
+  if (error && error.name === 'APIConnectionError') {
+    return 'connection';
+  }
+
+  const status = error && error.status;
+
+  if (status === 429) {
+    return error.code === 'insufficient_quota' ? 'quota' : 'rate_limit';
+  }
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  if (status >= 400) {
+    return 'invalid_request';
+  }
+  return 'other';
+};
+
+const recordOpenAIError = (operation, error) => {
+  openaiErrors.inc({ operation, category: categorizeOpenAIError(error) });
+};
+
+// Count the failure of an OpenAI call's promise, passing its outcome through
+const trackOpenAICall = (operation, promise) => promise.catch((error) => {
+  recordOpenAIError(operation, error);
+  throw error;
+});
+
+// Ledger movements, labelled with ledger entry types (fixed strings in the code)
+const recordCreditsGranted = (source, credits) => {
+  if (credits > 0) {
+    creditsGranted.inc({ source }, credits);
+  }
+};
+
+const recordCreditsConsumed = (reason, credits) => {
+  if (credits > 0) {
+    creditsConsumed.inc({ reason }, credits);
+  }
+};
+
+const recordCreditsRemoved = (reason, credits) => {
+  if (credits > 0) {
+    creditsRemoved.inc({ reason }, credits);
+  }
+};
+
+const recordPaymentVerification = (source, success) => {
+  paymentVerifications.inc({ source, result: success ? 'success' : 'failure' });
+};
+
+// Handler for GET /metrics. With METRICS_TOKEN set, scrapers must send it as
+// a bearer token, since the credit and payment counters are business data.
+const metricsHandler = async (req, res) => {
+  const expectedToken = process.env.METRICS_TOKEN;
+
+  if (expectedToken) {
+    const header = req.get('Authorization') || '';
+    const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(expectedToken);
+    const valid = token.length === expected.length && crypto.timingSafeEqual(token, expected);
+
+    if (!valid) {
+      return res.status(401).json({ error: 'A valid metrics token is required' });
+    }
+  }
+
+  res.set('Content-Type', register.contentType);
+  res.end(await register.metrics());
+};
+
+module.exports = {
+  register,
+  httpMetrics,
+  metricsHandler,
+  timeStage,
+  startStageTimer,
+  categorizeOpenAIError,
+  recordOpenAIError,
+  trackOpenAICall,
+  recordCreditsGranted,
+  recordCreditsConsumed,
+  recordCreditsRemoved,
+  recordPaymentVerification
+};
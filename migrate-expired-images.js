@@ -0,0 +1,78 @@
+require('dotenv').config();
+const { getDocs } = require('./stores');
+const firebase = require('./firebase');
+const images = require('./images');
+
+// One-off migration for images saved before generated images were persisted.
+// Those records point at temporary OpenAI URLs. Any URL that still works is
+// copied into storage now; the rest are marked with `urlExpired: true` so the
+// gallery can show a placeholder instead of a broken image.
+//
+// Usage: node migrate-expired-images.js [--dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+// OpenAI image URLs are Azure blob SAS URLs with the expiry in the `se` parameter
+const hasExpired = (imageUrl) => {
+  try {
+    const expiresAt = new URL(imageUrl).searchParams.get('se');
+    return Boolean(expiresAt) && new Date(expiresAt).getTime() < Date.now();
+  } catch (error) {
+    return true;
+  }
+};
+
+async function migrateExpiredImages() {
+  const imagesSnapshot = await getDocs(firebase.imagesCollection);
+  const legacyImages = imagesSnapshot.docs
+    .map(imageDoc => ({ id: imageDoc.id, ...imageDoc.data() }))
+    .filter(image => !image.storagePaths && !image.urlExpired);
+
+  console.log(`Found ${legacyImages.length} images without stored copies${dryRun ? ' (dry run)' : ''}`);
+
+  let persistedCount = 0;
+  let expiredCount = 0;
+
+  for (const image of legacyImages) {
+    let storedImage = null;
+
+    if (image.imageUrl && !hasExpired(image.imageUrl)) {
+      try {
+        storedImage = dryRun ? {} : await images.persistGeneratedImage(image.userId, { imageUrl: image.imageUrl });
+      } catch (error) {
+        console.log(`Image ${image.id} could not be downloaded, treating it as expired`);
+      }
+    }
+
+    if (storedImage) {
+      persistedCount++;
+      console.log(`Image ${image.id}: stored a durable copy`);
+      if (!dryRun) {
+        await firebase.updateGeneratedImage(image.id, {
+          ...storedImage,
+          persisted: true,
+          temporaryImageUrl: image.imageUrl
+        });
+      }
+    } else {
+      expiredCount++;
+      console.log(`Image ${image.id}: URL has expired`);
+      if (!dryRun) {
+        await firebase.updateGeneratedImage(image.id, {
+          persisted: false,
+          urlExpired: true,
+          urlExpiredCheckedAt: new Date()
+        });
+      }
+    }
+  }
+
+  console.log(`Done. Stored ${persistedCount} images, marked ${expiredCount} as expired.`);
+}
+
+migrateExpiredImages()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
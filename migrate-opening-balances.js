@@ -0,0 +1,40 @@
+require('dotenv').config();
+const { getDocs } = require('./stores');
+const firebase = require('./firebase');
+const ledger = require('./ledger');
+
+// One-off migration for users from before the credit ledger. Their credits
+// are on their user document but have no ledger entry, so the balance rebuilt
+// from the ledger (ledgerBalance in the admin API) comes out wrong. This
+// writes an `opening-balance` entry for each of them. It is safe to run while
+// the server is up and to run again.
+//
+// Usage: node migrate-opening-balances.js [--dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateOpeningBalances() {
+  const usersSnapshot = await getDocs(firebase.usersCollection);
+
+  console.log(`Checking ${usersSnapshot.size} users${dryRun ? ' (dry run)' : ''}`);
+
+  let openedCount = 0;
+
+  for (const userDoc of usersSnapshot.docs) {
+    const { applied, existing, credits, heldCredits } = await ledger.writeOpeningBalance(userDoc.id, { dryRun });
+
+    if (applied || (dryRun && !existing && (credits !== 0 || heldCredits !== 0))) {
+      openedCount++;
+      console.log(`User ${userDoc.id}: opening balance of ${credits} credits (${heldCredits} held)`);
+    }
+  }
+
+  console.log(`Done. ${dryRun ? 'Would write' : 'Wrote'} ${openedCount} opening balances.`);
+}
+
+migrateOpeningBalances()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { collection, doc, addDoc, updateDoc, getDocs, query, where, orderBy, limit } = require('./stores');
+const { db, usersCollection } = require('./firebase');
+const { logger } = require('./logger');
+const { trackOpenAICall } = require('./metrics');
+const { sniffFormat } = require('./uploads');
+
+// Moderation
+//
+// Every generation is checked before any paid call: the user's prompt against
+// a local blocklist, then the prompt and the uploaded image with OpenAI's
+// moderation endpoint. Rejections come with reason codes:
+//   BLOCKLISTED_TERM  the prompt contains a blocklisted term (`terms`)
+//   PROMPT_FLAGGED    the moderation endpoint flagged the prompt (`categories`)
+//   IMAGE_FLAGGED     the moderation endpoint flagged the image (`categories`)
+//
+// Rejected attempts are logged to `moderation_reviews` (with a hash of the
+// image, never the image itself). Users with MODERATION_FLAG_THRESHOLD
+// rejections within a day get `moderationFlagged` set for an admin to look at.
+//
+// When the moderation endpoint fails, MODERATION_FAIL_MODE decides: `open`
+// (default) lets the generation go ahead and logs it to `moderation_reviews`
+// as `unchecked`, with reason MODERATION_UNAVAILABLE, so an admin can look at
+// it later; `closed` fails the generation instead.
+
+const moderationReviewsCollection = collection(db, 'moderation_reviews');
+
+const MODERATION_MODEL = process.env.MODERATION_MODEL || 'omni-moderation-latest';
+const FLAG_THRESHOLD = parseInt(process.env.MODERATION_FLAG_THRESHOLD || '3', 10);
+const FLAG_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Terms come from MODERATION_BLOCKLIST (comma-separated) and
+// MODERATION_BLOCKLIST_FILE (one per line, # for comments)
+const loadBlocklist = () => {
+  const terms = (process.env.MODERATION_BLOCKLIST || '').split(',');
+
+  if (process.env.MODERATION_BLOCKLIST_FILE) {
+    terms.push(...fs.readFileSync(process.env.MODERATION_BLOCKLIST_FILE, 'utf8')
+      .split('\n')
+      .filter(line => !line.trim().startsWith('#')));
+  }
+
+  return [...new Set(terms.map(term => term.trim().toLowerCase()).filter(Boolean))]
+    .map(term => ({ term, pattern: new RegExp(`(^|\\W)${escapeRegExp(term)}(\\W|$)`, 'i') }));
+};
+
+const blocklist = loadBlocklist();
+
+const findBlockedTerms = (text) => blocklist
+  .filter(({ pattern }) => pattern.test(text))
+  .map(({ term }) => term);
+
+const flaggedCategories = (result) => Object.entries(result.categories)
+  .filter(([, flagged]) => flagged)
+  .map(([category]) => category);
+
+// MODERATION_API=off skips the moderation endpoint (e.g. offline development);
+// the blocklist still applies
+const createModerator = ({
+  openai,
+  useApi = (process.env.MODERATION_API || 'openai') !== 'off',
+  failMode = process.env.MODERATION_FAIL_MODE || 'open'
+}) => {
+  if (!['open', 'closed'].includes(failMode)) {
+    throw new Error(`Unknown MODERATION_FAIL_MODE "${failMode}". Use "open" or "closed".`);
+  }
+
+  const moderate = async (input) => {
+    const response = await trackOpenAICall('moderation', openai.moderations.create({ model: MODERATION_MODEL, input }));
+    return response.results[0];
+  };
+
+  // Returns { allowed: true }, { allowed: false, reasons }, or when the
+  // endpoint failed { allowed: true, unchecked: true } (fail open) or
+  // { allowed: false, unavailable: true } (fail closed)
+  const check = async ({ prompt, imageBuffer }) => {
+    const reasons = [];
+
+    const blockedTerms = prompt ? findBlockedTerms(prompt) : [];
+    if (blockedTerms.length > 0) {
+      reasons.push({ source: 'prompt', code: 'BLOCKLISTED_TERM', terms: blockedTerms });
+    }
+
+    if (useApi && reasons.length === 0) {
+      // Usually the preprocessed PNG, but the upload itself if preprocessing failed
+      const mimeType = `image/${sniffFormat(imageBuffer) || 'png'}`;
+
+      try {
+        const [promptResult, imageResult] = await Promise.all([
+          prompt ? moderate(prompt) : null,
+          moderate([{ type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBuffer.toString('base64')}` } }])
+        ]);
+
+        if (promptResult && promptResult.flagged) {
+          reasons.push({ source: 'prompt', code: 'PROMPT_FLAGGED', categories: flaggedCategories(promptResult) });
+        }
+        if (imageResult.flagged) {
+          reasons.push({ source: 'image', code: 'IMAGE_FLAGGED', categories: flaggedCategories(imageResult) });
+        }
+      } catch (error) {
+        if (failMode === 'closed') {
+          logger.warn('Moderation API error, refusing the generation', { reason: error.message });
+          return { allowed: false, unavailable: true };
+        }
+        // Generation is still subject to the provider's own content policy
+        logger.warn('Moderation API error, continuing without it', { reason: error.message });
+        return { allowed: true, unchecked: true };
+      }
+    }
+
+    return reasons.length > 0 ? { allowed: false, reasons } : { allowed: true };
+  };
+
+  return { check, failMode };
+};
+
+const hashImage = (imageBuffer) => (imageBuffer ? crypto.createHash('sha256').update(imageBuffer).digest('hex') : null);
+
+// Log a rejected attempt for review, and flag the user if they keep hitting moderation.
+// Returns { reviewId, userFlagged }.
+const recordRejection = async ({ userId, jobId, prompt, imageBuffer, reasons }) => {
+  try {
+    const now = new Date();
+    const reviewDocRef = await addDoc(moderationReviewsCollection, {
+      userId,
+      jobId: jobId || null,
+      prompt: prompt || null,
+      imageSha256: hashImage(imageBuffer),
+      reasons,
+      outcome: 'rejected',
+      status: 'pending',
+      createdAt: now
+    });
+
+    // Generations let through unchecked are in the same collection, but aren't the user's doing
+    const recentSnapshot = await getDocs(query(
+      moderationReviewsCollection,
+      where('userId', '==', userId),
+      where('createdAt', '>=', new Date(now.getTime() - FLAG_WINDOW_MS))
+    ));
+    const recentRejections = recentSnapshot.docs.filter(reviewDoc => reviewDoc.data().outcome !== 'unchecked').length;
+    const userFlagged = recentRejections >= FLAG_THRESHOLD;
+
+    if (userFlagged) {
+      await updateDoc(doc(usersCollection, userId), {
+        moderationFlagged: true,
+        moderationFlaggedAt: now,
+        moderationFlagReason: `${recentRejections} rejected generations within 24 hours`
+      });
+      logger.warn('User flagged for review after repeated moderation rejections', { userId, recentRejections });
+    }
+
+    return { reviewId: reviewDocRef.id, userFlagged };
+  } catch (error) {
+    logger.error('Error recording moderation rejection', error);
+    throw error;
+  }
+};
+
+// Log a generation that went ahead without the moderation endpoint, so an
+// admin can review it. Returns the review id.
+const recordUnchecked = async ({ userId, jobId, prompt, imageBuffer }) => {
+  try {
+    const reviewDocRef = await addDoc(moderationReviewsCollection, {
+      userId,
+      jobId: jobId || null,
+      prompt: prompt || null,
+      imageSha256: hashImage(imageBuffer),
+      reasons: [{ source: 'moderation', code: 'MODERATION_UNAVAILABLE' }],
+      outcome: 'unchecked',
+      status: 'pending',
+      createdAt: new Date()
+    });
+    return reviewDocRef.id;
+  } catch (error) {
+    logger.error('Error recording unchecked generation', error);
+    throw error;
+  }
+};
+
+// Most recent review entries, optionally only those with a given status
+const getModerationReviews = async ({ status, maxResults = 50 } = {}) => {
+  try {
+    const filters = status ? [where('status', '==', status)] : [];
+    const reviewsSnapshot = await getDocs(query(
+      moderationReviewsCollection,
+      ...filters,
+      orderBy('createdAt', 'desc'),
+      limit(maxResults)
+    ));
+
+    return reviewsSnapshot.docs.map(reviewDoc => ({
+      id: reviewDoc.id,
+      ...reviewDoc.data(),
+      createdAt: reviewDoc.data().createdAt.toDate()
+    }));
+  } catch (error) {
+    logger.error('Error getting moderation reviews', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  moderationReviewsCollection,
+  createModerator,
+  recordRejection,
+  recordUnchecked,
+  getModerationReviews
+};
@@ -0,0 +1,145 @@
+const { requireAuth, requireAdmin, acceptQueryToken } = require('./auth');
+const { INPUT_ERROR_SCHEMA } = require('./validation');
+const { version } = require('./package.json');
+
+// OpenAPI 3 document for the API, served at /api/openapi.json.
+//
+// It is built from the routes registered on the app rather than written by
+// hand: each route's path and methods come from Express, its parameters and
+// request body from the schema of its validate() middleware (see schemas.js),
+// and its security from the auth middleware in front of it. Responses are
+// listed by status with a short description.
+
+const REQUEST_PARTS = ['params', 'query', 'headers', 'body', 'multipart'];
+
+// Express /api/images/:id -> OpenAPI /api/images/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Descriptions belong on the parameter, not its schema
+const toParameter = (location, name, schema = { type: 'string' }, required) => {
+  const { description, ...parameterSchema } = schema;
+  return {
+    name,
+    in: location,
+    required,
+    ...(description ? { description } : {}),
+    schema: parameterSchema
+  };
+};
+
+const toResponse = (response) => {
+  const { description, schema } = typeof response === 'string' ? { description: response } : response;
+  return {
+    description,
+    ...(schema ? { content: { 'application/json': { schema } } } : {})
+  };
+};
+
+const buildOperation = (path, handlers) => {
+  const validator = handlers.find(handler => handler.schema);
+  const schema = validator ? validator.schema : {};
+  const requiresAuth = handlers.includes(requireAuth);
+  const adminOnly = handlers.includes(requireAdmin);
+
+  const params = schema.params ? schema.params.properties : {};
+  const pathNames = [...path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+
+  const parameters = [
+    ...pathNames.map(name => toParameter('path', name, params[name], true)),
+    ...['query', 'headers'].flatMap(part => Object.entries((schema[part] && schema[part].properties) || {})
+      .map(([name, propertySchema]) => toParameter(
+        part === 'query' ? 'query' : 'header',
+        name,
+        propertySchema,
+        (schema[part].required || []).includes(name)
+      )))
+  ];
+
+  let requestBody;
+  if (schema.body) {
+    requestBody = { required: Boolean(schema.body.required), content: { 'application/json': { schema: schema.body } } };
+  } else if (schema.multipart) {
+    requestBody = { required: true, content: { 'multipart/form-data': { schema: schema.multipart } } };
+  }
+
+  const responses = {};
+  for (const [status, response] of Object.entries(schema.responses || { 200: 'OK' })) {
+    responses[status] = toResponse(response);
+  }
+  if (REQUEST_PARTS.some(part => schema[part]) && !responses[400]) {
+    responses[400] = { $ref: '#/components/responses/InputError' };
+  }
+  if (requiresAuth) {
+    responses[401] = responses[401] || toResponse('Missing or invalid ID token');
+    responses[403] = responses[403] || toResponse(adminOnly ? 'Not an admin, or suspended' : 'Suspended user');
+  }
+
+  const operation = {
+    ...(schema.operationId ? { operationId: schema.operationId } : {}),
+    ...(schema.summary ? { summary: schema.summary } : {}),
+    ...(schema.description || adminOnly
+      ? { description: [adminOnly ? 'Admin only.' : null, schema.description].filter(Boolean).join(' ') }
+      : {}),
+    ...(schema.tags ? { tags: schema.tags } : {}),
+    ...(schema.deprecated ? { deprecated: true } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses
+  };
+
+  if (requiresAuth) {
+    operation.security = handlers.includes(acceptQueryToken)
+      ? [{ bearerAuth: [] }, { accessToken: [] }]
+      : [{ bearerAuth: [] }];
+  }
+
+  return operation;
+};
+
+// Build the document from an Express app's routes
+const buildSpec = (app) => {
+  const paths = {};
+
+  for (const layer of app._router.stack) {
+    if (!layer.route || typeof layer.route.path !== 'string') {
+      continue;
+    }
+
+    const { path, methods, stack } = layer.route;
+    const handlers = stack.map(routeLayer => routeLayer.handle);
+    const openApiPath = toOpenApiPath(path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    const pathItem = paths[openApiPath];
+
+    for (const method of Object.keys(methods).filter(name => methods[name])) {
+      pathItem[method] = buildOperation(path, handlers);
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'SpiritArt Alchemy API',
+      version,
+      description: 'Rejected input gets 400 (413 for uploads that are too large) with `{ error: { code, message, field } }`. Other errors are `{ error: message }`.'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Firebase Auth ID token' },
+        accessToken: { type: 'apiKey', in: 'query', name: 'access_token', description: 'Firebase Auth ID token, for EventSource clients' }
+      },
+      schemas: {
+        InputError: INPUT_ERROR_SCHEMA
+      },
+      responses: {
+        InputError: {
+          description: 'Invalid request',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/InputError' } } }
+        }
+      }
+    }
+  };
+};
+
+module.exports = { buildSpec };
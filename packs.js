@@ -0,0 +1,67 @@
+const { NON_BLANK, validateValue } = require('./validation');
+
+// Credit packs that can be purchased. Prices and credit amounts are decided
+// here on the server and never taken from the client. Every pack is checked
+// against packSchema when the module loads, so a string or negative price
+// can't make it into an order.
+const creditPacks = [
+  {
+    id: 'starter',
+    name: 'Starter',
+    price: 99,
+    currency: 'INR',
+    credits: 5,
+    active: true
+  },
+  {
+    id: 'popular',
+    name: 'Popular',
+    price: 299,
+    currency: 'INR',
+    credits: 20,
+    active: true
+  },
+  {
+    id: 'pro',
+    name: 'Pro',
+    price: 599,
+    currency: 'INR',
+    credits: 50,
+    active: true
+  }
+];
+
+const packSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+    name: { type: 'string', pattern: NON_BLANK },
+    price: { type: 'number', minimum: 0, exclusiveMinimum: true, description: 'In rupees' },
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    credits: { type: 'integer', minimum: 1 },
+    active: { type: 'boolean' }
+  },
+  required: ['id', 'name', 'price', 'currency', 'credits', 'active']
+};
+
+creditPacks.forEach((pack, index) => {
+  const { error } = validateValue(pack, packSchema, `creditPacks[${index}]`);
+  if (error) {
+    throw new Error(`Invalid credit pack: ${error.message}`);
+  }
+});
+
+const getActivePacks = () => creditPacks.filter(pack => pack.active);
+
+// Returns null for unknown or retired packs
+const getPackById = (packId) => {
+  const pack = creditPacks.find(pack => pack.id === packId);
+  return pack && pack.active ? pack : null;
+};
+
+module.exports = {
+  creditPacks,
+  packSchema,
+  getActivePacks,
+  getPackById
+};
@@ -0,0 +1,92 @@
+// Query parameters shared by the paginated listing routes:
+//
+//   limit     page size, 1-100 (default 20)
+//   cursor    opaque token from the previous page's `nextCursor`
+//   from, to  createdAt range as ISO dates; `from` is inclusive, `to` exclusive
+//
+// plus equality filters named by each route (e.g. `style` or `type`).
+// Cursors encode the createdAt and ID of the last item of a page, which is
+// where Firestore's startAfter picks up.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const encodeCursor = (position) => {
+  if (!position) {
+    return null;
+  }
+  return Buffer.from(JSON.stringify({ t: position.createdAt.getTime(), id: position.id })).toString('base64url');
+};
+
+// Returns null for anything that isn't a cursor we issued
+const decodeCursor = (token) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (Number.isFinite(t) && typeof id === 'string' && id) {
+      return { createdAt: new Date(t), id };
+    }
+  } catch (error) {
+    // Not valid JSON, handled below
+  }
+  return null;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Schema for the query parameters, for validate() (see validation.js).
+// `filters` adds each route's own filter parameters.
+const listQuerySchema = (filters = {}) => ({
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE, description: 'Page size' },
+    cursor: { type: 'string', description: 'The `nextCursor` of the previous page' },
+    from: { type: 'string', description: 'Only records created at or after this ISO date, e.g. 2024-05-01 or 2024-05-01T10:00:00Z' },
+    to: { type: 'string', description: 'Only records created before this ISO date' },
+    ...filters
+  }
+});
+
+// Takes query parameters already checked against listQuerySchema.
+// Returns { options } or { error, field }.
+const parseListQuery = (params, filterNames = []) => {
+  const options = { pageSize: params.limit || DEFAULT_PAGE_SIZE, filters: {} };
+
+  if (params.cursor) {
+    options.cursor = decodeCursor(params.cursor);
+    if (!options.cursor) {
+      return { error: 'cursor is invalid', field: 'cursor' };
+    }
+  }
+
+  for (const name of ['from', 'to']) {
+    if (params[name]) {
+      options[name] = parseDate(params[name]);
+      if (!options[name]) {
+        return { error: `${name} must be an ISO date, e.g. 2024-05-01 or 2024-05-01T10:00:00Z`, field: name };
+      }
+    }
+  }
+
+  if (options.from && options.to && options.from >= options.to) {
+    return { error: 'from must be earlier than to', field: 'from' };
+  }
+
+  filterNames
+    .filter(name => params[name])
+    .forEach(name => {
+      options.filters[name] = params[name];
+    });
+
+  return { options };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  listQuerySchema,
+  parseListQuery
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+// Payments
+//
+// The app takes payments through an object with:
+//   client                                     Razorpay API client (orders.create,
+//                                              orders.fetch, payments.refund)
+//   keyId                                      public key id sent to the checkout
+//   webhooksEnabled                            whether webhook payloads can be verified
+//   verifyPaymentSignature(orderId, paymentId, signature) -> boolean
+//   verifyWebhookSignature(rawBody, signature) -> boolean
+// createRazorpayPayments() talks to Razorpay. createFakePayments() keeps
+// orders and refunds in memory and can sign payments and webhooks the way
+// Razorpay does, so payment flows can be tested offline.
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const signaturesMatch = (expected, signature) => typeof signature === 'string' &&
+  expected.length === signature.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+
+// Razorpay signs `${orderId}|${paymentId}` with the key secret for checkout
+// callbacks, and the raw webhook body with the webhook secret
+const createSignatureVerifier = ({ keySecret, webhookSecret }) => ({
+  verifyPaymentSignature: (orderId, paymentId, signature) => signaturesMatch(hmac(keySecret, `${orderId}|${paymentId}`), signature),
+
+  verifyWebhookSignature: (rawBody, signature) => {
+    if (!webhookSecret || !rawBody || !signature) {
+      return false;
+    }
+    return signaturesMatch(hmac(webhookSecret, rawBody), signature);
+  }
+});
+
+const createRazorpayPayments = ({
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+} = {}) => {
+  if (!keyId || !keySecret) {
+    const error = new Error('Razorpay credentials are missing. Make sure you have RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET defined in your .env file.');
+    error.code = 'RAZORPAY_CONFIG_MISSING';
+    throw error;
+  }
+
+  return {
+    name: 'razorpay',
+    client: new Razorpay({ key_id: keyId, key_secret: keySecret }),
+    keyId,
+    webhooksEnabled: Boolean(webhookSecret),
+    ...createSignatureVerifier({ keySecret, webhookSecret })
+  };
+};
+
+// Errors shaped like the Razorpay SDK's, which aren't Error instances
+const razorpayError = (statusCode, description) => ({
+  statusCode,
+  error: { code: 'BAD_REQUEST_ERROR', description }
+});
+
+const fakeId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+
+const createFakePayments = ({
+  keyId = 'rzp_test_fake',
+  keySecret = 'fake_key_secret',
+  webhookSecret = 'fake_webhook_secret'
+} = {}) => {
+  const orders = new Map();
+  const refunds = [];
+
+  const client = {
+    orders: {
+      create: async (options) => {
+        const order = {
+          id: fakeId('order'),
+          entity: 'order',
+          amount: options.amount,
+          currency: options.currency,
+          receipt: options.receipt,
+          // Razorpay returns note values as strings
+          notes: Object.fromEntries(Object.entries(options.notes || {}).map(([key, value]) => [key, String(value)])),
+          status: 'created',
+          created_at: Math.floor(Date.now() / 1000)
+        };
+        orders.set(order.id, order);
+        return order;
+      },
+
+      fetch: async (orderId) => {
+        if (!orders.has(orderId)) {
+          throw razorpayError(400, 'The id provided does not exist');
+        }
+        return orders.get(orderId);
+      }
+    },
+
+    payments: {
+      refund: async (paymentId, options = {}) => {
+        const refund = {
+          id: fakeId('rfnd'),
+          entity: 'refund',
+          payment_id: paymentId,
+          amount: options.amount,
+          notes: options.notes || {},
+          status: 'processed',
+          created_at: Math.floor(Date.now() / 1000)
+        };
+        refunds.push(refund);
+        return refund;
+      }
+    }
+  };
+
+  return {
+    name: 'fake',
+    client,
+    keyId,
+    webhooksEnabled: Boolean(webhookSecret),
+    ...createSignatureVerifier({ keySecret, webhookSecret }),
+
+    // What tests play the part of Razorpay with
+    orders,
+    refunds,
+    signPayment: (orderId, paymentId) => hmac(keySecret, `${orderId}|${paymentId}`),
+    signWebhook: (rawBody) => hmac(webhookSecret, rawBody)
+  };
+};
+
+module.exports = {
+  createRazorpayPayments,
+  createFakePayments
+};
@@ -0,0 +1,71 @@
+const { createOpenAIProvider } = require('./openai');
+const { createOpenAIEditProvider } = require('./openai-edit');
+const { createMockProvider } = require('./mock');
+
+// Image generation providers
+//
+// A provider turns an uploaded image into a generated one in two steps:
+//   describe({ imageBuffer, descriptionDetail })
+//     -> { description }                        description may be null
+//   generate({ prompt, imageBuffer, model, quality, orientation })
+//     -> { imageUrl } or { imageBuffer }, plus the { quality, size } actually used
+//
+// descriptionDetail is brief|detailed|exhaustive, quality is standard|hd and
+// orientation is square|landscape|portrait; each provider maps these onto
+// its own model's options. `requiredEnv` lists the environment variables a
+// provider can't work without.
+//
+// The provider for a generation is picked, in order, from the request's
+// `provider` field, the style's `provider` hint and the default provider,
+// IMAGE_PROVIDER unless the registry is given another (by name, or as a
+// provider object, which is added to the registry, e.g. a fake in tests).
+
+const DEFAULT_PROVIDER = 'openai';
+
+const createProviderRegistry = ({ openai, defaultProvider: requestedDefault }) => {
+  const providers = {
+    openai: createOpenAIProvider(openai),
+    'openai-edit': createOpenAIEditProvider(openai),
+    mock: createMockProvider()
+  };
+
+  if (requestedDefault && typeof requestedDefault === 'object') {
+    providers[requestedDefault.name] = requestedDefault;
+  }
+
+  const defaultProvider = (requestedDefault && requestedDefault.name) || requestedDefault || process.env.IMAGE_PROVIDER || DEFAULT_PROVIDER;
+
+  if (!providers[defaultProvider]) {
+    throw new Error(`Unknown image provider: ${defaultProvider}`);
+  }
+
+  // Users may only ask for the mock provider when it is switched on with
+  // ALLOW_MOCK_PROVIDER=1 (or NODE_ENV=test), and never in production
+  const mockSelectable = process.env.NODE_ENV !== 'production' &&
+    (process.env.ALLOW_MOCK_PROVIDER === '1' || process.env.NODE_ENV === 'test');
+  const isSelectable = (name) => Boolean(providers[name]) && (name !== 'mock' || mockSelectable);
+
+  const get = (name) => providers[name] || null;
+
+  // The required environment variables of a provider that aren't set
+  const missingConfiguration = (name) => (providers[name].requiredEnv || []).filter(key => !process.env[key]);
+
+  // Returns null if the request asks for a provider it can't use
+  const resolve = ({ requested, style }) => {
+    if (requested) {
+      return isSelectable(requested) ? providers[requested] : null;
+    }
+    return (style && providers[style.provider]) || providers[defaultProvider];
+  };
+
+  return {
+    names: Object.keys(providers),
+    defaultName: defaultProvider,
+    get,
+    missingConfiguration,
+    resolve,
+    isSelectable
+  };
+};
+
+module.exports = { createProviderRegistry };
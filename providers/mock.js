@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Offline provider for development and tests. It never touches the network:
+// descriptions are fixed and images are placeholders rendered with sharp.
+// The same prompt always produces the same image.
+const MOCK_DESCRIPTION = 'A quiet countryside scene with a small wooden house beside a winding path, ' +
+  'tall grass moving in the wind, soft white clouds drifting across a bright blue sky, ' +
+  'and warm afternoon light falling across the hills.';
+
+const MOCK_SIZES = {
+  square: { width: 1024, height: 1024 },
+  landscape: { width: 1792, height: 1024 },
+  portrait: { width: 1024, height: 1792 }
+};
+
+const createMockProvider = () => ({
+  name: 'mock',
+  models: { describe: 'mock', generate: 'mock' },
+
+  describe: async ({ descriptionDetail = 'exhaustive' }) => ({
+    // Brief descriptions only keep the first sentence-like chunk
+    description: descriptionDetail === 'brief' ? MOCK_DESCRIPTION.split(', ')[0] + '.' : MOCK_DESCRIPTION
+  }),
+
+  generate: async ({ prompt, quality = 'standard', orientation = 'square' }) => {
+    const { width, height } = MOCK_SIZES[orientation] || MOCK_SIZES.square;
+    const hash = crypto.createHash('sha256').update(prompt).digest('hex');
+    const background = `#${hash.slice(0, 6)}`;
+    const accent = `#${hash.slice(6, 12)}`;
+
+    const overlay = Buffer.from(`
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <circle cx="${width / 2}" cy="${height / 2}" r="320" fill="${accent}" opacity="0.6"/>
+        <text x="${width / 2}" y="${height / 2 + 28}" font-size="72" text-anchor="middle" fill="#ffffff" font-family="sans-serif">MOCK</text>
+      </svg>
+    `);
+
+    const imageBuffer = await sharp({
+      create: { width, height, channels: 4, background }
+    })
+      .composite([{ input: overlay }])
+      .png()
+      .toBuffer();
+
+    return { imageBuffer, settings: { quality, size: `${width}x${height}` } };
+  }
+});
+
+module.exports = { createMockProvider, MOCK_DESCRIPTION };
@@ -0,0 +1,43 @@
+const { toFile } = require('openai');
+const { trackOpenAICall } = require('../metrics');
+
+const GPT_IMAGE_SIZES = {
+  square: '1024x1024',
+  landscape: '1536x1024',
+  portrait: '1024x1536'
+};
+
+// True image-to-image mode: the uploaded picture itself is sent to the image
+// edit endpoint with gpt-image-1, so composition and likeness are kept much
+// closer than with a text-only description. No separate describe call is made.
+const createOpenAIEditProvider = (openai) => ({
+  name: 'openai-edit',
+  models: { describe: null, generate: 'gpt-image-1' },
+  requiredEnv: ['OPENAI_API_KEY'],
+
+  describe: async () => ({ description: null }),
+
+  generate: async ({ prompt, imageBuffer, model, quality = 'standard', orientation = 'square' }) => {
+    const size = GPT_IMAGE_SIZES[orientation] || GPT_IMAGE_SIZES.square;
+    // gpt-image-1 uses low/medium/high rather than standard/hd
+    const editQuality = quality === 'hd' ? 'high' : 'medium';
+
+    const response = await trackOpenAICall('image-edit', openai.images.edit({
+      model: model || 'gpt-image-1',
+      image: await toFile(imageBuffer, 'image.png', { type: 'image/png' }),
+      prompt,
+      n: 1,
+      size,
+      quality: editQuality
+    }));
+
+    // gpt-image-1 always returns base64 data rather than a URL
+    const b64 = response && response.data && response.data[0] ? response.data[0].b64_json : null;
+    return {
+      imageBuffer: b64 ? Buffer.from(b64, 'base64') : null,
+      settings: { quality: editQuality, size }
+    };
+  }
+});
+
+module.exports = { createOpenAIEditProvider };
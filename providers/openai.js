@@ -0,0 +1,79 @@
+const { trackOpenAICall } = require('../metrics');
+
+// How much the vision model should write for each descriptionDetail setting
+const DESCRIPTION_INSTRUCTIONS = {
+  brief: {
+    text: 'Describe this image in 2-3 sentences, covering only the main subjects, the setting and the dominant colors, as a prompt for recreating it in Studio Ghibli style.',
+    maxOutputTokens: 150
+  },
+  detailed: {
+    text: 'Describe this image in one detailed paragraph, covering the subjects, their poses and expressions, the setting, lighting and colors, as a prompt for recreating it in Studio Ghibli style.',
+    maxOutputTokens: 400
+  },
+  exhaustive: {
+    text: `Analyze this image in extreme detail, as if it were a frame from a Studio Ghibli film. Imagine you are a master at describing visual scenes, meticulously noting every element to craft the perfect prompt for DALL·E 3. Your goal is to enable the accurate recreation of this image in Miyazaki’s signature Ghibli style.`,
+    maxOutputTokens: 1000
+  }
+};
+
+const DALLE_SIZES = {
+  square: '1024x1024',
+  landscape: '1792x1024',
+  portrait: '1024x1792'
+};
+
+// Two-step OpenAI pipeline: GPT-4o mini describes the uploaded image in detail,
+// then DALL-E 3 paints a new image from that description. DALL-E 3 never sees
+// the uploaded picture itself.
+const createOpenAIProvider = (openai) => ({
+  name: 'openai',
+  models: { describe: 'gpt-4o-mini', generate: 'dall-e-3' },
+  requiredEnv: ['OPENAI_API_KEY'],
+
+  describe: async ({ imageBuffer, descriptionDetail = 'exhaustive' }) => {
+    const base64Image = imageBuffer.toString('base64');
+    const instruction = DESCRIPTION_INSTRUCTIONS[descriptionDetail] || DESCRIPTION_INSTRUCTIONS.exhaustive;
+
+    // Call GPT-4o mini with vision capabilities to describe the image at the requested level of detail
+    const visionResponse = await trackOpenAICall('vision', openai.responses.create({
+      model: "gpt-4o-mini", // Using the newer, more efficient model
+      max_output_tokens: instruction.maxOutputTokens,
+      input: [{
+        role: "user",
+        content: [
+          {
+            type: "input_text",
+            text: instruction.text
+          },
+          {
+            type: "input_image",
+            image_url: `data:image/png;base64,${base64Image}`
+          }
+        ]
+      }]
+    }));
+
+    // The response structure for the newer API
+    return { description: visionResponse.output_text };
+  },
+
+  generate: async ({ prompt, model, quality = 'standard', orientation = 'square' }) => {
+    const size = DALLE_SIZES[orientation] || DALLE_SIZES.square;
+
+    const response = await trackOpenAICall('image-generate', openai.images.generate({
+      model: model || "dall-e-3",
+      prompt,
+      n: 1,
+      size,
+      quality,
+      response_format: "url",
+    }));
+
+    return {
+      imageUrl: response && response.data && response.data[0] ? response.data[0].url : null,
+      settings: { quality, size }
+    };
+  }
+});
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const { collection, doc, runTransaction } = require('./stores');
+const { db } = require('./firebase');
+const { logger } = require('./logger');
+const { HEARTBEAT_INTERVAL_MS, STALE_JOB_MS } = require('./jobs');
+
+// Rate limiting
+//
+// Requests are limited with token buckets, one per user and one per IP for
+// each route. A bucket holds `limit` tokens and refills at `limit` tokens per
+// `windowSeconds`, so short bursts are allowed but the sustained rate is capped.
+// Generations are additionally capped by the number running at once per user.
+//
+// State lives in a store. The in-memory store is the default; set
+// RATE_LIMIT_STORE=firestore to share limits between server instances.
+// A store implements:
+//   take([{ key, limit: { limit, windowSeconds } }])
+//     -> [{ allowed, remaining, retryAfterMs, resetMs }], one per bucket. A token
+//        is taken from every bucket or, if any of them is empty, from none.
+//   acquire(key, max)  -> lease id, or null if `max` are already held
+//   renew(key, leaseId) -> whether the lease was still held and now runs for
+//                          another lease TTL
+//   release(key, leaseId)
+
+// Default limits per route, overridable with RATE_LIMITS (JSON with the same shape)
+const DEFAULT_ROUTE_LIMITS = {
+  'upload-image': {
+    user: { limit: 10, windowSeconds: 60 },
+    ip: { limit: 20, windowSeconds: 60 },
+    concurrency: 2
+  },
+  'upload-batch': {
+    user: { limit: 3, windowSeconds: 60 },
+    ip: { limit: 6, windowSeconds: 60 },
+    concurrency: 1
+  },
+  'create-order': {
+    user: { limit: 5, windowSeconds: 60 },
+    ip: { limit: 20, windowSeconds: 60 }
+  },
+  'verify-payment': {
+    user: { limit: 10, windowSeconds: 60 },
+    ip: { limit: 30, windowSeconds: 60 }
+  },
+  'create-share': {
+    user: { limit: 10, windowSeconds: 60 },
+    ip: { limit: 20, windowSeconds: 60 }
+  },
+  'share-view': {
+    ip: { limit: 60, windowSeconds: 60 }
+  }
+};
+
+// Concurrency leases are renewed with every job heartbeat while their holder
+// runs, and expire like an interrupted job once the renewals stop, so a slot
+// held by a process that died is free again by the time its job is failed
+const LEASE_TTL_MS = STALE_JOB_MS;
+
+const loadRouteLimits = () => {
+  if (!process.env.RATE_LIMITS) {
+    return DEFAULT_ROUTE_LIMITS;
+  }
+
+  const overrides = JSON.parse(process.env.RATE_LIMITS);
+  const routeLimits = { ...DEFAULT_ROUTE_LIMITS };
+  Object.entries(overrides).forEach(([route, limits]) => {
+    routeLimits[route] = { ...routeLimits[route], ...limits };
+  });
+  return routeLimits;
+};
+
+// Refill a bucket for the time elapsed since it was last used, then try to take a token
+const takeToken = (bucket, { limit, windowSeconds }, now) => {
+  const refillPerMs = limit / (windowSeconds * 1000);
+  const current = bucket || { tokens: limit, updatedAt: now };
+  const tokens = Math.min(limit, current.tokens + (now - current.updatedAt) * refillPerMs);
+  const allowed = tokens >= 1;
+  const remainingTokens = allowed ? tokens - 1 : tokens;
+
+  return {
+    bucket: { tokens: remainingTokens, updatedAt: now },
+    result: {
+      allowed,
+      remaining: Math.floor(remainingTokens),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - remainingTokens) / refillPerMs),
+      resetMs: Math.ceil((limit - remainingTokens) / refillPerMs)
+    }
+  };
+};
+
+// Take a token from each bucket in `buckets` (current states, null for new
+// ones), or from none of them if any is empty. Returns the new bucket states
+// to save, or null if nothing was taken, and each bucket's result.
+const takeTokens = (buckets, checks, now) => {
+  const taken = checks.map((check, index) => takeToken(buckets[index], check.limit, now));
+  const allowed = taken.every(({ result }) => result.allowed);
+
+  return {
+    buckets: allowed ? taken.map(({ bucket }) => bucket) : null,
+    results: taken.map(({ result }) => result)
+  };
+};
+
+const createMemoryStore = ({ leaseTtlMs = LEASE_TTL_MS } = {}) => {
+  const buckets = new Map();
+  // key -> Map of lease id -> expiry
+  const leases = new Map();
+
+  // Drop buckets that have been idle long enough to be full again
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt > bucket.windowMs) {
+        buckets.delete(key);
+      }
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    take: async (checks) => {
+      const now = Date.now();
+      const { buckets: taken, results } = takeTokens(checks.map(check => buckets.get(check.key)), checks, now);
+
+      if (taken) {
+        checks.forEach((check, index) => buckets.set(check.key, { ...taken[index], windowMs: check.limit.windowSeconds * 1000 }));
+      }
+      return results;
+    },
+
+    acquire: async (key, max) => {
+      const now = Date.now();
+      const held = leases.get(key) || new Map();
+
+      // Forget leases whose holder never released them
+      held.forEach((expiresAt, leaseId) => {
+        if (expiresAt <= now) {
+          held.delete(leaseId);
+        }
+      });
+
+      if (held.size >= max) {
+        return null;
+      }
+      const leaseId = crypto.randomUUID();
+      held.set(leaseId, now + leaseTtlMs);
+      leases.set(key, held);
+      return leaseId;
+    },
+
+    renew: async (key, leaseId) => {
+      const now = Date.now();
+      const held = leases.get(key);
+
+      if (!held || !(held.get(leaseId) > now)) {
+        return false;
+      }
+      held.set(leaseId, now + leaseTtlMs);
+      return true;
+    },
+
+    release: async (key, leaseId) => {
+      const held = leases.get(key);
+      if (held) {
+        held.delete(leaseId);
+        if (held.size === 0) {
+          leases.delete(key);
+        }
+      }
+    }
+  };
+};
+
+// Shared store for multiple server instances, built on Firestore transactions
+const createFirestoreStore = () => {
+  const bucketsCollection = collection(db, 'rate_limits');
+  const leasesCollection = collection(db, 'concurrency_leases');
+
+  return {
+    name: 'firestore',
+
+    take: async (checks) => runTransaction(db, async (transaction) => {
+      const bucketDocRefs = checks.map(check => doc(bucketsCollection, check.key));
+      const bucketDocSnaps = await Promise.all(bucketDocRefs.map(bucketDocRef => transaction.get(bucketDocRef)));
+      const { buckets: taken, results } = takeTokens(
+        bucketDocSnaps.map(bucketDocSnap => (bucketDocSnap.exists() ? bucketDocSnap.data() : null)),
+        checks,
+        Date.now()
+      );
+
+      if (taken) {
+        bucketDocRefs.forEach((bucketDocRef, index) => transaction.set(bucketDocRef, taken[index]));
+      }
+      return results;
+    }),
+
+    acquire: async (key, max) => runTransaction(db, async (transaction) => {
+      const leaseDocRef = doc(leasesCollection, key);
+      const leaseDocSnap = await transaction.get(leaseDocRef);
+      const now = Date.now();
+
+      // Forget leases whose holder never released them
+      const held = Object.fromEntries(
+        Object.entries(leaseDocSnap.exists() ? leaseDocSnap.data().leases || {} : {})
+          .filter(([, expiresAt]) => expiresAt > now)
+      );
+
+      if (Object.keys(held).length >= max) {
+        return null;
+      }
+
+      const leaseId = crypto.randomUUID();
+      transaction.set(leaseDocRef, { leases: { ...held, [leaseId]: now + LEASE_TTL_MS } });
+      return leaseId;
+    }),
+
+    renew: async (key, leaseId) => runTransaction(db, async (transaction) => {
+      const leaseDocRef = doc(leasesCollection, key);
+      const leaseDocSnap = await transaction.get(leaseDocRef);
+      const held = leaseDocSnap.exists() ? leaseDocSnap.data().leases || {} : {};
+      const now = Date.now();
+
+      if (!(held[leaseId] > now)) {
+        return false;
+      }
+      transaction.set(leaseDocRef, { leases: { ...held, [leaseId]: now + LEASE_TTL_MS } });
+      return true;
+    }),
+
+    release: async (key, leaseId) => runTransaction(db, async (transaction) => {
+      const leaseDocRef = doc(leasesCollection, key);
+      const leaseDocSnap = await transaction.get(leaseDocRef);
+
+      if (leaseDocSnap.exists()) {
+        const { [leaseId]: _released, ...held } = leaseDocSnap.data().leases || {};
+        transaction.set(leaseDocRef, { leases: held });
+      }
+    })
+  };
+};
+
+const createStore = () => {
+  const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if (storeName === 'memory') {
+    return createMemoryStore();
+  }
+  if (storeName === 'firestore') {
+    return createFirestoreStore();
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${storeName}`);
+};
+
+let store = createStore();
+const routeLimits = loadRouteLimits();
+
+// Swap the store, e.g. for a shared backend or a fresh one in tests
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+const setRateLimitHeaders = (res, limit, result) => {
+  res.set({
+    'RateLimit-Limit': String(limit.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+  });
+};
+
+// Middleware limiting a route per user (when authenticated) and per IP.
+// Use after requireAuth so the user bucket applies.
+const rateLimit = (route) => async (req, res, next) => {
+  const limits = routeLimits[route] || {};
+
+  const checks = [];
+  if (limits.user && req.user) {
+    checks.push({ key: `${route}:user:${req.user.uid}`, limit: limits.user });
+  }
+  if (limits.ip) {
+    checks.push({ key: `${route}:ip:${req.ip}`, limit: limits.ip });
+  }
+
+  try {
+    const results = checks.length > 0 ? await store.take(checks) : [];
+
+    const refused = checks.findIndex((_check, index) => !results[index].allowed);
+    if (refused !== -1) {
+      const result = results[refused];
+      setRateLimitHeaders(res, checks[refused].limit, result);
+      res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+      return res.status(429).json({ error: 'Too many requests. Please slow down and try again shortly.' });
+    }
+
+    // Report the tightest bucket in the headers
+    let tightest = null;
+    checks.forEach((check, index) => {
+      const result = results[index];
+      if (!tightest || result.remaining / check.limit.limit < tightest.result.remaining / tightest.limit.limit) {
+        tightest = { limit: check.limit, result };
+      }
+    });
+
+    if (tightest) {
+      setRateLimitHeaders(res, tightest.limit, tightest.result);
+    }
+    next();
+  } catch (error) {
+    // Fail open: a broken limiter store shouldn't take the API down with it
+    logger.error('Rate limiter error', error);
+    next();
+  }
+};
+
+// Try to take one of a user's concurrent slots for a route. Returns a release
+// function, or null if the user is already at the cap. The lease is renewed on
+// the job heartbeat until it is released, however long the work runs.
+const acquireConcurrencySlot = async (route, userId) => {
+  const max = (routeLimits[route] || {}).concurrency;
+
+  if (!max) {
+    return () => {};
+  }
+
+  const key = `${route}:user:${userId}`;
+  const leaseId = await store.acquire(key, max);
+
+  if (!leaseId) {
+    return null;
+  }
+
+  const renewal = setInterval(() => {
+    store.renew(key, leaseId)
+      .then(renewed => {
+        if (!renewed) {
+          logger.warn('Concurrency slot expired before it was released', { key });
+        }
+      })
+      .catch(error => logger.error('Error renewing concurrency slot', error));
+  }, HEARTBEAT_INTERVAL_MS);
+  renewal.unref();
+
+  let released = false;
+  return async () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    clearInterval(renewal);
+    try {
+      await store.release(key, leaseId);
+    } catch (error) {
+      logger.error('Error releasing concurrency slot', error);
+    }
+  };
+};
+
+module.exports = {
+  rateLimit,
+  acquireConcurrencySlot,
+  setStore,
+  createMemoryStore,
+  createFirestoreStore
+};
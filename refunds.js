@@ -0,0 +1,179 @@
+const firebase = require('./firebase');
+const ledger = require('./ledger');
+const { recordAdminAction, writeAdminAction } = require('./audit');
+const { logger } = require('./logger');
+
+// Refunds
+//
+// Refunding a purchase takes back its credits in proportion to the refunded
+// share of the payment. Credits the user has already spent can't be taken
+// back: admins have to confirm such refunds with `allowSpentCredits`, and the
+// refund transaction is then flagged with its `creditsShortfall`. A purchase's
+// unused credits are its credits minus those already refunded and everything
+// spent since it was made (spending is charged to the newest purchase first),
+// and never more than the user's available balance. Refunds made
+// in the Razorpay dashboard arrive through the refund.processed webhook and
+// are always applied, flagged the same way.
+
+const refundError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+// Amounts are kept in rupees, so compare them in paise to avoid float drift
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Money and credits already covered by earlier refunds of a purchase
+const getRefundedSoFar = async (purchase) => {
+  const refunds = await firebase.findTransactions({ purchaseTransactionId: purchase.id, type: 'refund' });
+
+  return refunds.reduce((totals, refund) => ({
+    amountPaise: totals.amountPaise + toPaise(Math.abs(refund.amount || 0)),
+    credits: totals.credits + Math.abs(refund.credits || 0) + (refund.creditsShortfall || 0)
+  }), { amountPaise: 0, credits: 0 });
+};
+
+// Credits to take back for refunding `amount` of a purchase, never more than
+// the purchase's credits not covered by earlier refunds
+const getRefundCredits = (purchase, amount, refundedSoFar) => {
+  const refundedShare = purchase.amount ? Math.min(amount / purchase.amount, 1) : 1;
+  const credits = Math.round(purchase.credits * refundedShare);
+  return Math.max(0, Math.min(credits, purchase.credits - refundedSoFar.credits));
+};
+
+// Refund a purchase transaction (fully, or `amount` rupees of it) through
+// Razorpay and claw back its unused credits. Throws errors with code
+// TRANSACTION_NOT_FOUND, INVALID_REFUND or CREDITS_SPENT.
+const refundPurchase = async ({ razorpay, adminId, transactionId, amount, reason, allowSpentCredits = false }) => {
+  const purchase = await firebase.getTransactionById(transactionId);
+
+  if (!purchase || purchase.type !== 'purchase') {
+    throw refundError('TRANSACTION_NOT_FOUND', `Purchase transaction ${transactionId} not found`);
+  }
+
+  const refundedSoFar = await getRefundedSoFar(purchase);
+  const refundablePaise = toPaise(purchase.amount) - refundedSoFar.amountPaise;
+
+  if (refundablePaise <= 0) {
+    throw refundError('INVALID_REFUND', 'This purchase has already been fully refunded');
+  }
+
+  const refundPaise = amount === undefined ? refundablePaise : toPaise(amount);
+
+  if (!(refundPaise > 0) || refundPaise > refundablePaise) {
+    throw refundError('INVALID_REFUND', `amount must be more than 0 and at most ${refundablePaise / 100}`);
+  }
+
+  const refundAmount = refundPaise / 100;
+  const credits = getRefundCredits(purchase, refundAmount, refundedSoFar);
+
+  const user = await firebase.getUserById(purchase.userId);
+  const available = user ? (user.credits || 0) - (user.heldCredits || 0) : 0;
+  const spentSince = await ledger.getCreditsSpentSince(purchase.userId, purchase.createdAt.toMillis());
+  const purchaseCreditsLeft = purchase.credits - refundedSoFar.credits - spentSince;
+  const unusedCredits = Math.max(0, Math.min(credits, purchaseCreditsLeft, available));
+
+  if (unusedCredits < credits && !allowSpentCredits) {
+    throw refundError(
+      'CREDITS_SPENT',
+      `Only ${unusedCredits} of the ${credits} credits for this refund are unused`,
+      { credits, unusedCredits }
+    );
+  }
+
+  const refund = await razorpay.payments.refund(purchase.paymentId, {
+    amount: refundPaise,
+    notes: {
+      transactionId,
+      adminId,
+      reason: reason.slice(0, 256)
+    }
+  });
+
+  const auditEntry = (details) => ({
+    adminId,
+    action: 'payment.refund',
+    targetType: 'transaction',
+    targetId: transactionId,
+    before: null,
+    after: { refundId: refund.id, userId: purchase.userId, amount: refundAmount, ...details },
+    reason
+  });
+
+  const result = await ledger.clawBackRefund({
+    userId: purchase.userId,
+    orderId: purchase.orderId,
+    paymentId: purchase.paymentId,
+    refundId: refund.id,
+    purchaseTransactionId: transactionId,
+    amount: refundAmount,
+    credits,
+    initiatedBy: adminId
+  }, {
+    writeRelated: (transaction, { creditsReversed, creditsShortfall }) => {
+      writeAdminAction(transaction, auditEntry({ creditsReversed, creditsShortfall }));
+    }
+  });
+
+  // The refund webhook got there first and already took the credits back
+  if (!result.applied) {
+    await recordAdminAction(auditEntry({
+      creditsReversed: result.creditsReversed,
+      creditsShortfall: result.creditsShortfall
+    }));
+  }
+
+  return {
+    refundId: refund.id,
+    refundStatus: refund.status,
+    amount: refundAmount,
+    creditsReversed: result.creditsReversed,
+    creditsShortfall: result.creditsShortfall,
+    flagged: result.creditsShortfall > 0,
+    transactionId: result.transactionId
+  };
+};
+
+// Apply a refund reported by Razorpay's refund.processed webhook. Refunds made
+// through refundPurchase are already applied and are skipped.
+const recordRefund = async (refundEntity) => {
+  const purchase = await firebase.findTransaction({ paymentId: refundEntity.payment_id, type: 'purchase' });
+
+  if (!purchase) {
+    logger.error('No purchase found for refunded payment, not reversing credits', { paymentId: refundEntity.payment_id, refundId: refundEntity.id });
+    return null;
+  }
+
+  const amount = refundEntity.amount / 100; // Razorpay reports amounts in paise
+  const refundedSoFar = await getRefundedSoFar(purchase);
+
+  const result = await ledger.clawBackRefund({
+    userId: purchase.userId,
+    orderId: purchase.orderId,
+    paymentId: refundEntity.payment_id,
+    refundId: refundEntity.id,
+    purchaseTransactionId: purchase.id,
+    amount,
+    credits: getRefundCredits(purchase, amount, refundedSoFar),
+    initiatedBy: 'razorpay'
+  });
+
+  if (!result.applied) {
+    logger.info('Refund was already processed, skipping', { refundId: refundEntity.id });
+  } else {
+    logger.info('Reversed refunded credits', { refundId: refundEntity.id, userId: purchase.userId, creditsReversed: result.creditsReversed, credits: result.credits });
+  }
+
+  if (result.applied && result.creditsShortfall > 0) {
+    logger.warn('Refund flagged: refunded credits were already spent', { refundId: refundEntity.id, userId: purchase.userId, creditsShortfall: result.creditsShortfall });
+  }
+
+  return result;
+};
+
+module.exports = {
+  refundPurchase,
+  recordRefund
+};
@@ -0,0 +1,400 @@
+const { NON_BLANK } = require('./validation');
+const packs = require('./packs');
+const pagination = require('./pagination');
+const gallery = require('./gallery');
+const styles = require('./styles');
+const detail = require('./detail');
+
+// Request schemas of every route, keyed by operation id. app.js checks
+// requests against them with validate() and openapi.js publishes them, so
+// the spec at /api/openapi.json is whatever the routes actually accept. See
+// validation.js for what a route schema can hold.
+
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 ? { required } : {})
+});
+
+const text = (description) => ({ type: 'string', pattern: NON_BLANK, description });
+
+const userParams = object({ userId: { type: 'string', description: 'The user ID; user routes only accept the token\'s own' } });
+const imageParams = object({ id: { type: 'string', description: 'Image ID' } });
+const shareParams = object({ token: { type: 'string', description: 'Share token' } });
+const styleParams = object({ styleId: { type: 'string', description: 'Style ID' } });
+const jobParams = object({ id: { type: 'string', description: 'Job ID' } });
+
+const transactionsQuery = pagination.listQuerySchema({
+  type: { type: 'string', description: 'Only transactions of this type, e.g. purchase or image-transformation' }
+});
+const imagesQuery = pagination.listQuerySchema(gallery.imageFilterProperties);
+
+// Options shared by single and batch uploads
+const generationFields = {
+  prompt: { type: 'string', description: 'Extra instructions for the generated image' },
+  style: { type: 'string', description: `Style ID from GET /api/styles (default ${styles.DEFAULT_STYLE_ID})` },
+  detailLevel: {
+    type: 'integer',
+    minimum: 0,
+    maximum: 100,
+    default: detail.DEFAULT_DETAIL_LEVEL,
+    description: '0-33 draft, 34-69 standard, 70-100 HD (costs extra credits)'
+  },
+  provider: { type: 'string', description: 'Image provider, e.g. openai or openai-edit' }
+};
+
+const imageFile = { type: 'string', format: 'binary', description: 'JPEG, PNG, WebP, AVIF or HEIC, up to 4MB' };
+
+// The entities each handled Razorpay webhook event must carry, checked once
+// the signature is verified. Amounts are in paise.
+const paymentEntity = object({
+  id: { type: 'string', minLength: 1 },
+  order_id: { type: 'string', minLength: 1 },
+  amount: { type: 'integer', minimum: 0 }
+}, ['id', 'order_id', 'amount']);
+const orderEntity = object({
+  id: { type: 'string', minLength: 1 },
+  amount: { type: 'integer', minimum: 0 },
+  notes: { type: 'object' }
+}, ['id', 'amount']);
+const refundEntity = object({
+  id: { type: 'string', minLength: 1 },
+  payment_id: { type: 'string', minLength: 1 },
+  amount: { type: 'integer', minimum: 0 }
+}, ['id', 'payment_id', 'amount']);
+
+const wrapped = (entity) => object({ entity }, ['entity']);
+
+const webhookPayloads = {
+  'payment.captured': object({ payment: wrapped(paymentEntity) }, ['payment']),
+  'order.paid': object({ payment: wrapped(paymentEntity), order: wrapped(orderEntity) }, ['payment', 'order']),
+  'payment.failed': object({ payment: wrapped(paymentEntity) }, ['payment']),
+  'refund.processed': object({ refund: wrapped(refundEntity) }, ['refund'])
+};
+
+const routes = {
+  // Health and tooling
+  getStatus: { summary: 'Check the API is running', tags: ['Health'] },
+  getLiveness: { summary: 'Liveness check', tags: ['Health'] },
+  getReadiness: {
+    summary: 'Readiness check',
+    tags: ['Health'],
+    responses: { 200: 'Ready to serve', 503: 'Not ready; `checks` lists what failed' }
+  },
+  getMetrics: {
+    summary: 'Prometheus metrics',
+    description: 'Needs `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.',
+    tags: ['Health'],
+    responses: { 200: 'Metrics in the Prometheus text format', 401: 'Missing or wrong metrics token' }
+  },
+  getOpenApiSpec: { summary: 'This OpenAPI document', tags: ['Health'] },
+  getTempUpload: {
+    summary: 'Download a temporary upload through its signed URL',
+    tags: ['Uploads'],
+    params: object({ name: { type: 'string' } }),
+    query: object({
+      expires: { type: 'string', description: 'From the signed URL' },
+      signature: { type: 'string', description: 'From the signed URL' }
+    }),
+    responses: { 200: 'The file', 404: 'Unknown file or expired link' }
+  },
+
+  // Users
+  getUser: {
+    summary: 'Get the user\'s profile',
+    tags: ['Users'],
+    params: userParams,
+    responses: { 200: '{ user }', 403: 'Another user\'s profile', 404: 'No such user' }
+  },
+  saveUser: {
+    summary: 'Create or update the user\'s profile',
+    description: 'The user comes from the token. Other fields, such as credits, are ignored.',
+    tags: ['Users'],
+    body: object({
+      name: { type: 'string', nullable: true, maxLength: 200 },
+      displayName: { type: 'string', nullable: true, maxLength: 200 },
+      email: { type: 'string', nullable: true, maxLength: 320 },
+      photoURL: { type: 'string', nullable: true, maxLength: 2048 }
+    }),
+    responses: { 200: '{ success, user }' }
+  },
+  listUserTransactions: {
+    summary: 'List the user\'s transactions, newest first',
+    tags: ['Users'],
+    params: userParams,
+    query: transactionsQuery,
+    responses: { 200: '{ transactions, nextCursor, total }', 403: 'Another user\'s transactions' }
+  },
+  listUserImages: {
+    summary: 'List the user\'s generated images, newest first',
+    tags: ['Users'],
+    params: userParams,
+    query: imagesQuery,
+    responses: { 200: '{ images, nextCursor, total }', 403: 'Another user\'s images' }
+  },
+
+  // Gallery
+  getImage: {
+    summary: 'Get one of the user\'s images',
+    tags: ['Gallery'],
+    params: imageParams,
+    responses: { 200: '{ image }', 404: 'No such image, or another user\'s' }
+  },
+  updateImage: {
+    summary: 'Set the title, tags or favorite flag of an image',
+    tags: ['Gallery'],
+    params: imageParams,
+    body: gallery.imageUpdateSchema,
+    responses: { 200: '{ image } with the changes applied', 404: 'No such image, or another user\'s' }
+  },
+  deleteImage: {
+    summary: 'Delete an image and its stored files',
+    tags: ['Gallery'],
+    params: imageParams,
+    responses: { 200: '{ success }', 404: 'No such image, or another user\'s' }
+  },
+
+  // Sharing
+  shareImage: {
+    summary: 'Create a public share link for an image',
+    tags: ['Sharing'],
+    params: imageParams,
+    body: object({
+      branding: { type: 'boolean', default: true, description: 'Add the branding strip to the preview' }
+    }),
+    responses: { 201: '{ share }', 404: 'No such image, or another user\'s' }
+  },
+  listImageShares: {
+    summary: 'List an image\'s share links with their view counts',
+    tags: ['Sharing'],
+    params: imageParams,
+    responses: { 200: '{ shares }', 404: 'No such image, or another user\'s' }
+  },
+  revokeShare: {
+    summary: 'Revoke a share link',
+    tags: ['Sharing'],
+    params: shareParams,
+    responses: { 200: '{ success, share }', 404: 'No such share, or another user\'s' }
+  },
+  viewShare: {
+    summary: 'View a shared image and count the view',
+    tags: ['Sharing'],
+    params: shareParams,
+    responses: { 200: '{ share }', 404: 'Unknown or revoked share' }
+  },
+  getSharePreview: {
+    summary: 'The before/after preview image of a share',
+    tags: ['Sharing'],
+    params: shareParams,
+    responses: { 200: 'JPEG image', 404: 'Unknown or revoked share' }
+  },
+
+  // Payments
+  listPacks: {
+    summary: 'List the credit packs for sale',
+    tags: ['Payments'],
+    responses: { 200: { description: 'The active packs', schema: object({ packs: { type: 'array', items: packs.packSchema } }) } }
+  },
+  createOrder: {
+    summary: 'Create a Razorpay order for a credit pack',
+    tags: ['Payments'],
+    body: object({
+      packId: { type: 'string', enum: packs.getActivePacks().map(pack => pack.id) }
+    }, ['packId']),
+    responses: { 200: '{ id, amount, currency, packId, credits, key }' }
+  },
+  verifyPayment: {
+    summary: 'Verify a Razorpay checkout payment and grant its credits',
+    description: 'Safe to retry: a payment is only credited once.',
+    tags: ['Payments'],
+    body: object({
+      razorpay_order_id: { type: 'string', minLength: 1 },
+      razorpay_payment_id: { type: 'string', minLength: 1 },
+      razorpay_signature: { type: 'string', minLength: 1 }
+    }, ['razorpay_order_id', 'razorpay_payment_id', 'razorpay_signature']),
+    responses: { 200: '{ success, credits, applied }', 403: 'The order belongs to another user' }
+  },
+  receiveRazorpayWebhook: {
+    summary: 'Receive Razorpay webhook events',
+    tags: ['Payments'],
+    headers: object({
+      'x-razorpay-signature': { type: 'string', description: 'HMAC of the raw body with RAZORPAY_WEBHOOK_SECRET' }
+    }),
+    description: 'Signed events whose payload lacks the entity fields the event needs are refused with 400.',
+    body: object({
+      event: { type: 'string' },
+      payload: { type: 'object' }
+    }, ['event']),
+    // Payload schema per handled event, checked by the route after the signature
+    webhookPayloads,
+    responses: { 200: '{ received }', 503: 'Webhooks are not configured' }
+  },
+
+  // Styles
+  listStyles: {
+    summary: 'List the enabled styles',
+    tags: ['Styles'],
+    responses: { 200: '{ styles }' }
+  },
+  adminListStyles: {
+    summary: 'List every style with all of its fields',
+    tags: ['Styles'],
+    responses: { 200: '{ styles }' }
+  },
+  createStyle: {
+    summary: 'Create a style',
+    tags: ['Styles'],
+    body: styles.createStyleSchema,
+    responses: { 201: '{ style }' }
+  },
+  updateStyle: {
+    summary: 'Update a style as a new version',
+    tags: ['Styles'],
+    params: styleParams,
+    body: styles.updateStyleSchema,
+    responses: { 200: '{ style }', 404: 'No such style' }
+  },
+  disableStyle: {
+    summary: 'Disable a style for new generations',
+    tags: ['Styles'],
+    params: styleParams,
+    responses: { 200: '{ style }', 404: 'No such style' }
+  },
+
+  // Admin
+  searchUsers: {
+    summary: 'Find users by ID, or by email or name prefix',
+    tags: ['Admin'],
+    query: object({ q: text('User ID, or the start of an email or name') }, ['q']),
+    responses: { 200: '{ users }' }
+  },
+  adminGetUser: {
+    summary: 'Get a user and their balance rebuilt from the ledger',
+    tags: ['Admin'],
+    params: userParams,
+    responses: { 200: '{ user, ledgerBalance }', 404: 'No such user' }
+  },
+  adminListUserImages: {
+    summary: 'List any user\'s images',
+    tags: ['Admin'],
+    params: userParams,
+    query: imagesQuery,
+    responses: { 200: '{ images, nextCursor, total }' }
+  },
+  adminListUserTransactions: {
+    summary: 'List any user\'s transactions',
+    tags: ['Admin'],
+    params: userParams,
+    query: transactionsQuery,
+    responses: { 200: '{ transactions, nextCursor, total }' }
+  },
+  adjustUserCredits: {
+    summary: 'Grant or deduct credits',
+    tags: ['Admin'],
+    params: userParams,
+    body: object({
+      amount: { type: 'integer', not: { enum: [0] }, description: 'Positive to grant, negative to deduct' },
+      reason: text('Why, for the audit log')
+    }, ['amount', 'reason']),
+    responses: { 200: '{ success, credits, heldCredits, transactionId }', 404: 'No such user' }
+  },
+  banUser: {
+    summary: 'Suspend a user',
+    tags: ['Admin'],
+    params: userParams,
+    body: object({ reason: text('Why, for the audit log') }, ['reason']),
+    responses: { 200: '{ success, user }', 404: 'No such user' }
+  },
+  unbanUser: {
+    summary: 'Restore a suspended user',
+    tags: ['Admin'],
+    params: userParams,
+    body: object({ reason: { type: 'string' } }),
+    responses: { 200: '{ success, user }', 404: 'No such user' }
+  },
+  refundPurchase: {
+    summary: 'Refund a purchase and take back its unused credits',
+    tags: ['Admin'],
+    body: object({
+      transactionId: { type: 'string', minLength: 1, description: 'The purchase transaction' },
+      amount: { type: 'number', minimum: 0, exclusiveMinimum: true, description: 'Rupees to refund; defaults to everything not yet refunded' },
+      reason: text('Why, for the audit log'),
+      allowSpentCredits: { type: 'boolean', default: false, description: 'Refund even if some of the credits were spent' }
+    }, ['transactionId', 'reason']),
+    responses: {
+      200: '{ success, refundId, refundStatus, amount, creditsReversed, creditsShortfall, flagged, transactionId }',
+      404: 'No such purchase',
+      409: 'Some of the credits were spent; `credits` and `unusedCredits` say how many',
+      502: 'Razorpay refused the refund'
+    }
+  },
+  listModerationReviews: {
+    summary: 'List recent moderation rejections and generations that went ahead unchecked',
+    tags: ['Admin'],
+    query: object({ status: { type: 'string', description: 'Only reviews with this status, e.g. pending' } }),
+    responses: { 200: '{ reviews }' }
+  },
+  getAuditLog: {
+    summary: 'List recent admin actions',
+    tags: ['Admin'],
+    query: object({ targetId: { type: 'string', description: 'Only actions on this user or style' } }),
+    responses: { 200: '{ entries }' }
+  },
+
+  // Generation
+  uploadImage: {
+    summary: 'Transform an uploaded image as a background job',
+    tags: ['Generation'],
+    multipart: object({ image: imageFile, ...generationFields }, ['image']),
+    responses: {
+      202: '{ success, jobId, detailLevel, creditCost, statusUrl, eventsUrl }',
+      404: 'The user has no profile yet',
+      413: 'The file or image is too large',
+      429: 'Too many generations running or requested',
+      503: 'The server is shutting down (SERVER_DRAINING), or temporary storage is full of running uploads (TEMP_STORAGE_FULL)'
+    }
+  },
+  createBatch: {
+    summary: 'Transform several images with the same settings',
+    description: 'Takes up to BATCH_MAX_IMAGES (default 10) images. Each becomes its own job.',
+    tags: ['Generation'],
+    multipart: object({ images: { type: 'array', items: imageFile }, ...generationFields }, ['images']),
+    responses: {
+      202: '{ success, batchId, detailLevel, creditCost, totalCreditCost, statusUrl, items }',
+      404: 'The user has no profile yet',
+      413: 'A file or image is too large',
+      429: 'A batch is already running or too many were requested',
+      503: 'The server is shutting down (SERVER_DRAINING), or temporary storage is full of running uploads (TEMP_STORAGE_FULL)'
+    }
+  },
+  getBatch: {
+    summary: 'Get a batch and the status of each of its images',
+    tags: ['Generation'],
+    params: object({ id: { type: 'string', description: 'Batch ID' } }),
+    responses: { 200: '{ batch }', 404: 'No such batch, or another user\'s' }
+  },
+  getJob: {
+    summary: 'Get a generation job',
+    tags: ['Generation'],
+    params: jobParams,
+    responses: { 200: '{ job }', 404: 'No such job, or another user\'s' }
+  },
+  streamJobEvents: {
+    summary: 'Stream a job\'s progress as Server-Sent Events',
+    tags: ['Generation'],
+    params: jobParams,
+    query: object({ access_token: { type: 'string', description: 'ID token, for EventSource clients that can\'t set headers' } }),
+    responses: { 200: 'text/event-stream of stage, done and failed events', 404: 'No such job, or another user\'s' }
+  },
+  generateImage: {
+    summary: 'Removed; use POST /api/upload-image',
+    tags: ['Generation'],
+    deprecated: true,
+    responses: { 400: 'Always, with code ENDPOINT_REMOVED' }
+  }
+};
+
+// Every schema knows its operation id, for the spec
+module.exports = Object.fromEntries(
+  Object.entries(routes).map(([operationId, schema]) => [operationId, { operationId, ...schema }])
+);
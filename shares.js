@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { collection, doc, getDoc, getDocs, setDoc, updateDoc, query, where, increment } = require('./stores');
+const { db } = require('./firebase');
+const { storage } = require('./storage');
+const images = require('./images');
+const { logger } = require('./logger');
+
+// Public share links
+//
+// A share is a document in the `shares` collection keyed by an unguessable
+// token. Creating one renders a before/after preview (the upload next to the
+// generated image) and stores it under shares/<token>.jpg. The preview is only
+// served through the share routes, so revoking a share, which also deletes
+// the preview, cuts off access for good.
+
+const sharesCollection = collection(db, 'shares');
+
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const PREVIEW_HEIGHT = 768;
+const PREVIEW_GAP = 16;
+const BRANDING_HEIGHT = 56;
+const BRANDING_TEXT = process.env.SHARE_BRANDING_TEXT || 'Made with SpiritArt Alchemy';
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+// Put the images side by side at the same height on a dark background, with
+// an optional branding strip underneath
+const renderPreview = async ({ beforeBuffer, afterBuffer, branding }) => {
+  const panels = await Promise.all([beforeBuffer, afterBuffer].filter(Boolean).map(buffer =>
+    sharp(buffer)
+      .rotate()
+      .resize({ height: PREVIEW_HEIGHT, width: PREVIEW_HEIGHT * 2, fit: 'inside' })
+      .toBuffer({ resolveWithObject: true })
+  ));
+
+  const width = panels.reduce((sum, { info }) => sum + info.width + PREVIEW_GAP, PREVIEW_GAP);
+  const height = PREVIEW_GAP + PREVIEW_HEIGHT + (branding ? BRANDING_HEIGHT : PREVIEW_GAP);
+
+  let left = PREVIEW_GAP;
+  const layers = panels.map(({ data, info }) => {
+    const layer = { input: data, left, top: PREVIEW_GAP + Math.round((PREVIEW_HEIGHT - info.height) / 2) };
+    left += info.width + PREVIEW_GAP;
+    return layer;
+  });
+
+  if (branding) {
+    const brandingSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${BRANDING_HEIGHT}">
+      <text x="50%" y="60%" text-anchor="middle" font-family="sans-serif" font-size="22" fill="#f3efe4">${escapeXml(BRANDING_TEXT)}</text>
+    </svg>`;
+    layers.push({ input: Buffer.from(brandingSvg), left: 0, top: PREVIEW_GAP + PREVIEW_HEIGHT });
+  }
+
+  return sharp({ create: { width, height, channels: 3, background: '#15181d' } })
+    .composite(layers)
+    .jpeg({ quality: 85 })
+    .toBuffer();
+};
+
+const toShare = (shareDocSnap) => ({
+  token: shareDocSnap.id,
+  ...shareDocSnap.data(),
+  createdAt: shareDocSnap.data().createdAt.toDate()
+});
+
+// Share one of a user's images. Images generated before uploads were kept
+// have no "before" side, so their preview only shows the generated image.
+const createShare = async (image, { branding = true } = {}) => {
+  try {
+    const [beforeBuffer, afterBuffer] = await Promise.all([
+      image.sourceStoragePath ? images.loadImage({ storagePath: image.sourceStoragePath }) : null,
+      images.loadImage({ storagePath: image.storagePaths && image.storagePaths[0], url: image.imageUrl })
+    ]);
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const preview = await storage.save(
+      `shares/${token}.jpg`,
+      await renderPreview({ beforeBuffer, afterBuffer, branding }),
+      'image/jpeg'
+    );
+
+    const share = {
+      imageId: image.id,
+      userId: image.userId,
+      branding,
+      hasBefore: Boolean(beforeBuffer),
+      previewStoragePath: preview.key,
+      viewCount: 0,
+      revoked: false,
+      createdAt: new Date()
+    };
+    await setDoc(doc(sharesCollection, token), share);
+
+    return { token, ...share };
+  } catch (error) {
+    logger.error('Error creating share', error);
+    throw error;
+  }
+};
+
+// Returns null for unknown and revoked shares
+const getActiveShare = async (token) => {
+  try {
+    if (!SHARE_TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+
+    const shareDocSnap = await getDoc(doc(sharesCollection, token));
+
+    if (!shareDocSnap.exists() || shareDocSnap.data().revoked) {
+      return null;
+    }
+    return toShare(shareDocSnap);
+  } catch (error) {
+    logger.error('Error getting share', error);
+    throw error;
+  }
+};
+
+const recordShareView = async (token) => {
+  try {
+    await updateDoc(doc(sharesCollection, token), {
+      viewCount: increment(1),
+      lastViewedAt: new Date()
+    });
+  } catch (error) {
+    logger.error('Error recording share view', error);
+    throw error;
+  }
+};
+
+const readSharePreview = async (share) => storage.read(share.previewStoragePath);
+
+const listImageShares = async (imageId, userId) => {
+  try {
+    const sharesSnapshot = await getDocs(query(
+      sharesCollection,
+      where('imageId', '==', imageId),
+      where('userId', '==', userId)
+    ));
+    return sharesSnapshot.docs.map(toShare);
+  } catch (error) {
+    logger.error('Error listing image shares', error);
+    throw error;
+  }
+};
+
+const revokeLoadedShare = async (share) => {
+  if (share.revoked) {
+    return share;
+  }
+
+  const revokedAt = new Date();
+  await updateDoc(doc(sharesCollection, share.token), { revoked: true, revokedAt });
+
+  try {
+    await storage.remove(share.previewStoragePath);
+  } catch (error) {
+    logger.error('Error removing share preview', { imageId: share.imageId, err: error });
+  }
+
+  return { ...share, revoked: true, revokedAt };
+};
+
+// Revoke one of a user's shares. Returns null if the user has no such share.
+const revokeShare = async (token, userId) => {
+  try {
+    if (!SHARE_TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+
+    const shareDocSnap = await getDoc(doc(sharesCollection, token));
+
+    if (!shareDocSnap.exists() || shareDocSnap.data().userId !== userId) {
+      return null;
+    }
+    return await revokeLoadedShare(toShare(shareDocSnap));
+  } catch (error) {
+    logger.error('Error revoking share', error);
+    throw error;
+  }
+};
+
+// Revoke every share of an image, e.g. when it is deleted
+const revokeImageShares = async (imageId, userId) => {
+  try {
+    const imageShares = await listImageShares(imageId, userId);
+    await Promise.all(imageShares.map(revokeLoadedShare));
+    return imageShares.length;
+  } catch (error) {
+    logger.error('Error revoking image shares', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  sharesCollection,
+  renderPreview,
+  createShare,
+  getActiveShare,
+  recordShareView,
+  readSharePreview,
+  listImageShares,
+  revokeShare,
+  revokeImageShares
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { getStorage, ref, uploadBytes, getBytes, getDownloadURL, deleteObject } = require('firebase/storage');
+const { getFirebaseApp } = require('./stores/firestore');
+const { logger } = require('./logger');
+
+// Durable file storage for generated images
+//
+// Every backend exposes the same interface:
+//   save(key, buffer, contentType) -> { key, url }   url must stay valid indefinitely
+//   read(key) -> Buffer
+//   remove(key)                                      removing a missing key is not an error
+// Pick one with STORAGE_BACKEND=firebase|local (defaults to firebase).
+
+// Firebase Storage backend. Download URLs carry a token and don't expire.
+const createFirebaseStorage = () => {
+  const bucket = getStorage(getFirebaseApp());
+
+  return {
+    name: 'firebase',
+
+    save: async (key, buffer, contentType) => {
+      const fileRef = ref(bucket, key);
+      await uploadBytes(fileRef, buffer, { contentType });
+      return { key, url: await getDownloadURL(fileRef) };
+    },
+
+    read: async (key) => Buffer.from(await getBytes(ref(bucket, key))),
+
+    remove: async (key) => {
+      try {
+        await deleteObject(ref(bucket, key));
+      } catch (error) {
+        if (error.code !== 'storage/object-not-found') {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+// Local filesystem backend for development. Files are served by the app under `urlPath`.
+const createLocalStorage = ({ rootDir, baseUrl, urlPath = '/media' }) => {
+  return {
+    name: 'local',
+    rootDir,
+    urlPath,
+
+    save: async (key, buffer) => {
+      const filePath = path.join(rootDir, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, url: `${baseUrl}${urlPath}/${key}` };
+    },
+
+    read: async (key) => fs.promises.readFile(path.join(rootDir, key)),
+
+    remove: async (key) => {
+      await fs.promises.rm(path.join(rootDir, key), { force: true });
+    }
+  };
+};
+
+const createStorage = () => {
+  const backend = process.env.STORAGE_BACKEND || 'firebase';
+
+  if (backend === 'local') {
+    return createLocalStorage({
+      rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'media'),
+      baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+    });
+  }
+
+  if (backend === 'firebase') {
+    if (!process.env.FIREBASE_STORAGE_BUCKET) {
+      logger.warn('FIREBASE_STORAGE_BUCKET is missing. Generated images cannot be stored.');
+    }
+    return createFirebaseStorage();
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+};
+
+const storage = createStorage();
+logger.info('Image storage initialized', { backend: storage.name });
+
+module.exports = {
+  storage,
+  createFirebaseStorage,
+  createLocalStorage
+};
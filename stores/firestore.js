@@ -0,0 +1,167 @@
+const { initializeApp } = require('firebase/app');
+const firestore = require('firebase/firestore');
+const { docRef, isDocumentId, Timestamp, snapshot } = require('./refs');
+const { logger } = require('../logger');
+
+// Firestore store, the production backend
+//
+// Translates the store's references, constraints and values to the Firestore
+// client SDK and its snapshots back. The Firebase app is created on first use,
+// so loading this module never needs credentials.
+
+let firebaseApp = null;
+
+// The shared Firebase client app, also used by Firebase Storage
+const getFirebaseApp = () => {
+  if (firebaseApp) {
+    return firebaseApp;
+  }
+
+  if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_API_KEY) {
+    const error = new Error('Firebase credentials are missing. Make sure you have FIREBASE_PROJECT_ID and FIREBASE_API_KEY defined in your .env file.');
+    error.code = 'FIREBASE_CONFIG_MISSING';
+    throw error;
+  }
+
+  firebaseApp = initializeApp({
+    apiKey: process.env.FIREBASE_API_KEY,
+    authDomain: process.env.FIREBASE_AUTH_DOMAIN,
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID || '714147266029',
+    appId: process.env.FIREBASE_APP_ID || '1:714147266029:web:04a3a15ced332f784c3be4',
+    measurementId: process.env.FIREBASE_MEASUREMENT_ID || 'G-PM7GWZNHHF'
+  });
+  logger.info('Firebase initialized', { projectId: process.env.FIREBASE_PROJECT_ID });
+
+  return firebaseApp;
+};
+
+// Firestore errors that still prove the backend answered
+const REACHABLE_ERROR_CODES = ['permission-denied', 'not-found'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Store values -> Firestore values
+const toFirestoreValue = (value) => {
+  if (value instanceof Timestamp) {
+    return new firestore.Timestamp(value.seconds, value.nanoseconds);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toFirestoreValue);
+  }
+  if (isPlainObject(value)) {
+    if (value.kind === 'increment') {
+      return firestore.increment(value.by);
+    }
+    if (value.kind === 'arrayUnion') {
+      return firestore.arrayUnion(...value.items.map(toFirestoreValue));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toFirestoreValue(item)]));
+  }
+  return value;
+};
+
+// Firestore values -> store values
+const fromFirestoreValue = (value) => {
+  if (value instanceof firestore.Timestamp) {
+    return new Timestamp(value.seconds, value.nanoseconds);
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestoreValue);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFirestoreValue(item)]));
+  }
+  return value;
+};
+
+const createFirestoreStore = () => {
+  const db = firestore.getFirestore(getFirebaseApp());
+
+  const toField = (field) => (isDocumentId(field) ? firestore.documentId() : field);
+
+  const toConstraint = (constraint) => {
+    switch (constraint.type) {
+      case 'where':
+        return firestore.where(toField(constraint.field), constraint.op, toFirestoreValue(constraint.value));
+      case 'orderBy':
+        return firestore.orderBy(toField(constraint.field), constraint.direction);
+      case 'limit':
+        return firestore.limit(constraint.count);
+      case 'startAfter':
+        return firestore.startAfter(...constraint.values.map(toFirestoreValue));
+      default:
+        throw new Error(`Unsupported query constraint: ${constraint.type}`);
+    }
+  };
+
+  const toDocRef = (ref) => firestore.doc(db, ref.path);
+
+  const toQuery = (target) => (target.kind === 'query'
+    ? firestore.query(firestore.collection(db, target.collection.path), ...target.constraints.map(toConstraint))
+    : firestore.collection(db, target.path));
+
+  const fromSnapshot = (documentSnapshot) => snapshot(
+    docRef(documentSnapshot.ref.path),
+    documentSnapshot.exists() ? fromFirestoreValue(documentSnapshot.data()) : undefined
+  );
+
+  return {
+    name: 'firestore',
+
+    get: async (ref) => fromSnapshot(await firestore.getDoc(toDocRef(ref))),
+
+    set: (ref, data, options) => firestore.setDoc(toDocRef(ref), toFirestoreValue(data), options || {}),
+
+    update: (ref, fields) => firestore.updateDoc(toDocRef(ref), toFirestoreValue(fields)),
+
+    delete: (ref) => firestore.deleteDoc(toDocRef(ref)),
+
+    find: async (target) => (await firestore.getDocs(toQuery(target))).docs.map(fromSnapshot),
+
+    count: async (target) => (await firestore.getCountFromServer(toQuery(target))).data().count,
+
+    runTransaction: (updateFunction) => firestore.runTransaction(db, (firestoreTransaction) => {
+      const transaction = {
+        get: async (ref) => fromSnapshot(await firestoreTransaction.get(toDocRef(ref))),
+        set: (ref, data, options) => {
+          firestoreTransaction.set(toDocRef(ref), toFirestoreValue(data), options || {});
+          return transaction;
+        },
+        update: (ref, fields) => {
+          firestoreTransaction.update(toDocRef(ref), toFirestoreValue(fields));
+          return transaction;
+        },
+        delete: (ref) => {
+          firestoreTransaction.delete(toDocRef(ref));
+          return transaction;
+        }
+      };
+      return updateFunction(transaction);
+    }),
+
+    watch: (ref, onNext, onError) => firestore.onSnapshot(
+      toDocRef(ref),
+      documentSnapshot => onNext(fromSnapshot(documentSnapshot)),
+      onError
+    ),
+
+    // Any answer from the backend, even a refusal, means it is reachable
+    ping: async () => {
+      try {
+        await firestore.getDocFromServer(firestore.doc(db, '_health', 'readyz'));
+      } catch (error) {
+        if (!REACHABLE_ERROR_CODES.includes(error.code)) {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+module.exports = {
+  getFirebaseApp,
+  createFirestoreStore
+};
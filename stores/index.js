@@ -0,0 +1,118 @@
+const {
+  DB,
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  increment,
+  arrayUnion,
+  Timestamp,
+  querySnapshot
+} = require('./refs');
+const { createMemoryStore } = require('./memory');
+const { createFirestoreStore } = require('./firestore');
+
+// Document store
+//
+// Modules read and write documents through this adapter instead of the
+// Firestore SDK. It offers the subset of the Firestore modular API the app
+// uses (collection, doc, getDoc, getDocs, setDoc, updateDoc, addDoc, query,
+// where, orderBy, limit, startAfter, documentId, Timestamp, increment,
+// arrayUnion, onSnapshot, getCountFromServer, runTransaction) and passes each
+// call to the active backend.
+//
+// Every backend exposes the same interface:
+//   get(ref) -> snapshot
+//   set(ref, data, { merge }), update(ref, fields), delete(ref)
+//   find(collectionOrQuery) -> [snapshot], count(collectionOrQuery) -> number
+//   runTransaction(fn(transaction)) where transaction has get, set, update, delete
+//   watch(ref, onNext, onError) -> unsubscribe
+//   ping()                                 rejects if the backend can't be reached
+// Pick one with STORE_BACKEND=firestore|memory (defaults to firestore), or
+// install one with useStore(), which is how tests get a fresh memory store.
+
+const createStore = (backend = process.env.STORE_BACKEND || 'firestore') => {
+  if (backend === 'memory') {
+    return createMemoryStore();
+  }
+  if (backend === 'firestore') {
+    return createFirestoreStore();
+  }
+  throw new Error(`Unknown STORE_BACKEND "${backend}". Use "firestore" or "memory".`);
+};
+
+let activeStore = null;
+
+// The active backend, created from STORE_BACKEND on first use
+const getStore = () => {
+  if (!activeStore) {
+    activeStore = createStore();
+  }
+  return activeStore;
+};
+
+const useStore = (store) => {
+  activeStore = store;
+  return store;
+};
+
+const getDoc = (ref) => getStore().get(ref);
+
+const getDocs = async (target) => querySnapshot(await getStore().find(target));
+
+const setDoc = (ref, data, options) => getStore().set(ref, data, options);
+
+const updateDoc = (ref, fields) => getStore().update(ref, fields);
+
+const deleteDoc = (ref) => getStore().delete(ref);
+
+// Write a new document with a generated id. Returns its reference.
+const addDoc = async (collectionRef, data) => {
+  const ref = doc(collectionRef);
+  await getStore().set(ref, data);
+  return ref;
+};
+
+const getCountFromServer = async (target) => {
+  const count = await getStore().count(target);
+  return { data: () => ({ count }) };
+};
+
+// The first argument is the database, as in Firestore
+const runTransaction = (_db, updateFunction) => getStore().runTransaction(updateFunction);
+
+const onSnapshot = (ref, onNext, onError) => getStore().watch(ref, onNext, onError);
+
+const ping = () => getStore().ping();
+
+module.exports = {
+  db: DB,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  addDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  increment,
+  arrayUnion,
+  Timestamp,
+  getCountFromServer,
+  runTransaction,
+  onSnapshot,
+  createStore,
+  getStore,
+  useStore,
+  ping
+};
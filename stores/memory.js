@@ -0,0 +1,343 @@
+const { docRef, isDocumentId, Timestamp, snapshot } = require('./refs');
+
+// In-memory store for tests and offline development. It keeps the parts of
+// Firestore's behavior the app relies on: dates come back as Timestamps,
+// undefined values are rejected, queries skip documents missing a filtered or
+// ordered field, and transactions are atomic (they run one at a time and
+// their writes are applied together, or not at all if they throw).
+// Everything is lost when the process exits.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isTransform = (value) => isPlainObject(value) && (value.kind === 'increment' || value.kind === 'arrayUnion');
+
+// Convert a written value to its stored form, as Firestore would
+const toStored = (value, path) => {
+  if (value === undefined) {
+    throw new Error(`Unsupported field value: undefined (found in field ${path})`);
+  }
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (value instanceof Timestamp) {
+    return new Timestamp(value.seconds, value.nanoseconds);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => toStored(item, `${path}.${index}`));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStored(item, `${path}.${key}`)]));
+  }
+  return value;
+};
+
+// Deep copy of a stored value, so callers can't change the store by mutating results
+const copy = (value) => {
+  if (value instanceof Timestamp) {
+    return new Timestamp(value.seconds, value.nanoseconds);
+  }
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+};
+
+const getField = (data, path) => path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Apply written fields onto a document. `dotted` treats keys as field paths (updates).
+const applyFields = (base, fields, { dotted }) => {
+  const result = copy(base || {});
+
+  for (const [fieldPath, value] of Object.entries(fields)) {
+    const keys = dotted ? fieldPath.split('.') : [fieldPath];
+    let target = result;
+    for (const key of keys.slice(0, -1)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+
+    const lastKey = keys[keys.length - 1];
+    const current = target[lastKey];
+
+    if (isTransform(value) && value.kind === 'increment') {
+      target[lastKey] = (typeof current === 'number' ? current : 0) + value.by;
+    } else if (isTransform(value) && value.kind === 'arrayUnion') {
+      const items = Array.isArray(current) ? current : [];
+      const added = value.items.map(item => toStored(item, fieldPath)).filter(item => !items.some(existing => sameValue(existing, item)));
+      target[lastKey] = [...items, ...added];
+    } else {
+      target[lastKey] = toStored(value, fieldPath);
+    }
+  }
+
+  return result;
+};
+
+// Values comparable across Firestore's types: Timestamps and Dates by time
+const comparable = (value) => {
+  if (value instanceof Timestamp) {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+};
+
+const typeOf = (value) => (value instanceof Timestamp || value instanceof Date ? 'timestamp' : typeof value);
+
+const compareValues = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left < right) {
+    return -1;
+  }
+  return left > right ? 1 : 0;
+};
+
+const fieldValue = (id, data, field) => (isDocumentId(field) ? id : getField(data, field));
+
+const matchesWhere = (id, data, { field, op, value }) => {
+  const actual = fieldValue(id, data, field);
+
+  if (actual === undefined) {
+    return false;
+  }
+
+  switch (op) {
+    case '==':
+      return sameValue(comparable(actual), comparable(value));
+    case '!=':
+      return !sameValue(comparable(actual), comparable(value));
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      // Range filters only match values of the same type
+      if (typeOf(actual) !== typeOf(value)) {
+        return false;
+      }
+      const order = compareValues(actual, value);
+      return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[op];
+    }
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(item => sameValue(comparable(item), comparable(value)));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(item => value.some(candidate => sameValue(comparable(item), comparable(candidate))));
+    case 'in':
+      return value.some(candidate => sameValue(comparable(actual), comparable(candidate)));
+    case 'not-in':
+      return !value.some(candidate => sameValue(comparable(actual), comparable(candidate)));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+const createMemoryStore = () => {
+  // Document path -> stored data
+  const documents = new Map();
+  // Document path -> set of watchers
+  const watchers = new Map();
+  // Transactions run one after another
+  let transactionQueue = Promise.resolve();
+
+  const read = (ref) => {
+    const data = documents.get(ref.path);
+    return snapshot(ref, data === undefined ? undefined : copy(data));
+  };
+
+  const notify = (ref) => {
+    const listeners = watchers.get(ref.path);
+    if (!listeners) {
+      return;
+    }
+    setImmediate(() => {
+      for (const listener of listeners) {
+        listener(read(ref));
+      }
+    });
+  };
+
+  const write = (ref, data) => {
+    if (data === undefined) {
+      documents.delete(ref.path);
+    } else {
+      documents.set(ref.path, data);
+    }
+    notify(ref);
+  };
+
+  const notFoundError = (ref) => {
+    const error = new Error(`No document to update: ${ref.path}`);
+    error.code = 'not-found';
+    return error;
+  };
+
+  // Compute a write's new document data without applying it
+  const prepareWrite = (operation, ref, data, options = {}) => {
+    const existing = documents.get(ref.path);
+
+    switch (operation) {
+      case 'set':
+        return options.merge ? applyFields(existing, data, { dotted: false }) : applyFields({}, data, { dotted: false });
+      case 'update':
+        if (existing === undefined) {
+          throw notFoundError(ref);
+        }
+        return applyFields(existing, data, { dotted: true });
+      case 'delete':
+        return undefined;
+      default:
+        throw new Error(`Unknown write: ${operation}`);
+    }
+  };
+
+  const find = (target) => {
+    const collectionPath = target.kind === 'query' ? target.collection.path : target.path;
+    const constraints = target.kind === 'query' ? target.constraints : [];
+    const filters = constraints.filter(constraint => constraint.type === 'where');
+    const orders = constraints.filter(constraint => constraint.type === 'orderBy');
+    const cursor = constraints.find(constraint => constraint.type === 'startAfter');
+    const limitConstraint = constraints.find(constraint => constraint.type === 'limit');
+
+    let results = [];
+    for (const [path, data] of documents) {
+      const ref = docRef(path);
+      if (ref.parent.path === collectionPath && filters.every(filter => matchesWhere(ref.id, data, filter))) {
+        results.push({ ref, data });
+      }
+    }
+
+    // Ordering by a field leaves out documents that don't have it
+    results = results.filter(({ ref, data }) => orders.every(order => fieldValue(ref.id, data, order.field) !== undefined));
+
+    const compareByOrders = (id, data, values) => {
+      for (const [index, order] of orders.entries()) {
+        const result = compareValues(fieldValue(id, data, order.field), values[index]);
+        if (result !== 0) {
+          return order.direction === 'desc' ? -result : result;
+        }
+      }
+      return 0;
+    };
+
+    results.sort((a, b) => {
+      const order = compareByOrders(a.ref.id, a.data, orders.map(({ field }) => fieldValue(b.ref.id, b.data, field)));
+      return order !== 0 ? order : compareValues(a.ref.id, b.ref.id);
+    });
+
+    if (cursor) {
+      results = results.filter(({ ref, data }) => compareByOrders(ref.id, data, cursor.values) > 0);
+    }
+    if (limitConstraint) {
+      results = results.slice(0, limitConstraint.count);
+    }
+
+    return results.map(({ ref, data }) => snapshot(ref, copy(data)));
+  };
+
+  return {
+    name: 'memory',
+
+    get: async (ref) => read(ref),
+
+    set: async (ref, data, options) => write(ref, prepareWrite('set', ref, data, options)),
+
+    update: async (ref, fields) => write(ref, prepareWrite('update', ref, fields)),
+
+    delete: async (ref) => write(ref, undefined),
+
+    find: async (target) => find(target),
+
+    count: async (target) => find(target).length,
+
+    runTransaction: (updateFunction) => {
+      const run = transactionQueue.then(async () => {
+        const writes = [];
+        const transaction = {
+          get: async (ref) => read(ref),
+          set: (ref, data, options) => {
+            writes.push({ operation: 'set', ref, data, options });
+            return transaction;
+          },
+          update: (ref, fields) => {
+            writes.push({ operation: 'update', ref, data: fields });
+            return transaction;
+          },
+          delete: (ref) => {
+            writes.push({ operation: 'delete', ref });
+            return transaction;
+          }
+        };
+
+        const result = await updateFunction(transaction);
+
+        // Check every write before applying any, so a bad one leaves nothing behind.
+        // Later writes to the same document build on earlier ones.
+        const pending = new Map();
+        const prepared = writes.map(({ operation, ref, data, options }) => {
+          const saved = documents.get(ref.path);
+          if (pending.has(ref.path)) {
+            documents.set(ref.path, pending.get(ref.path));
+          }
+          try {
+            const newData = prepareWrite(operation, ref, data, options);
+            pending.set(ref.path, newData);
+            return { ref, data: newData };
+          } finally {
+            if (saved === undefined) {
+              documents.delete(ref.path);
+            } else {
+              documents.set(ref.path, saved);
+            }
+          }
+        });
+
+        for (const { ref, data } of prepared) {
+          write(ref, data);
+        }
+
+        return result;
+      });
+
+      // A failed transaction must not block the ones after it
+      transactionQueue = run.catch(() => {});
+      return run;
+    },
+
+    watch: (ref, onNext) => {
+      const listeners = watchers.get(ref.path) || new Set();
+      watchers.set(ref.path, listeners);
+      listeners.add(onNext);
+      setImmediate(() => {
+        if (listeners.has(onNext)) {
+          onNext(read(ref));
+        }
+      });
+
+      return () => {
+        listeners.delete(onNext);
+        if (listeners.size === 0) {
+          watchers.delete(ref.path);
+        }
+      };
+    },
+
+    ping: async () => {},
+
+    // Drop every document, e.g. between tests
+    clear: () => {
+      documents.clear();
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// References, values and snapshots shared by the store backends
+//
+// References are plain descriptions of a path, so they can be created when
+// a module loads, before any backend exists, and are only resolved by the
+// backend when an operation runs.
+
+const DB = Object.freeze({ kind: 'db' });
+
+const AUTO_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// 20 random characters, like Firestore's auto ids
+const newId = () => {
+  const bytes = crypto.randomBytes(20);
+  return [...bytes].map(byte => AUTO_ID_ALPHABET[byte % AUTO_ID_ALPHABET.length]).join('');
+};
+
+const collectionRef = (path) => ({ kind: 'collection', path, id: path.split('/').pop() });
+
+const docRef = (path) => {
+  const segments = path.split('/');
+  return {
+    kind: 'doc',
+    path,
+    id: segments[segments.length - 1],
+    parent: collectionRef(segments.slice(0, -1).join('/'))
+  };
+};
+
+const joinPath = (parent, segments) => [...(parent.kind === 'db' ? [] : [parent.path]), ...segments].join('/');
+
+// collection(db, 'users'), collection(styleDocRef, 'versions')
+const collection = (parent, ...segments) => {
+  const path = joinPath(parent, segments);
+  if (path.split('/').length % 2 !== 1) {
+    throw new Error(`Invalid collection path: ${path}`);
+  }
+  return collectionRef(path);
+};
+
+// doc(collectionRef) with a new id, doc(collectionRef, id) or doc(db, 'users', id)
+const doc = (parent, ...segments) => {
+  const path = joinPath(parent, parent.kind === 'collection' && segments.length === 0 ? [newId()] : segments.map(String));
+  if (path.split('/').length % 2 !== 0) {
+    throw new Error(`Invalid document path: ${path}`);
+  }
+  return docRef(path);
+};
+
+// A query is a collection plus constraints; querying a query adds to them
+const query = (base, ...constraints) => ({
+  kind: 'query',
+  collection: base.kind === 'query' ? base.collection : base,
+  constraints: [...(base.kind === 'query' ? base.constraints : []), ...constraints]
+});
+
+const DOCUMENT_ID = Object.freeze({ kind: 'documentId' });
+
+const where = (field, op, value) => ({ type: 'where', field, op, value });
+const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+const limit = (count) => ({ type: 'limit', count });
+const startAfter = (...values) => ({ type: 'startAfter', values });
+const documentId = () => DOCUMENT_ID;
+const isDocumentId = (field) => field === DOCUMENT_ID;
+
+// Field transforms for updates
+const increment = (by) => ({ kind: 'increment', by });
+const arrayUnion = (...items) => ({ kind: 'arrayUnion', items });
+
+// Point in time with Firestore's Timestamp interface
+class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000);
+    return new Timestamp(seconds, Math.round((millis - seconds * 1000) * 1e6));
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  toJSON() {
+    return { seconds: this.seconds, nanoseconds: this.nanoseconds };
+  }
+}
+
+// A document snapshot; `data` is undefined for a missing document
+const snapshot = (ref, data) => ({
+  id: ref.id,
+  ref,
+  exists: () => data !== undefined,
+  data: () => data
+});
+
+const querySnapshot = (docs) => ({
+  docs,
+  size: docs.length,
+  empty: docs.length === 0,
+  forEach: (callback) => docs.forEach(callback)
+});
+
+module.exports = {
+  DB,
+  newId,
+  collectionRef,
+  docRef,
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  isDocumentId,
+  increment,
+  arrayUnion,
+  Timestamp,
+  snapshot,
+  querySnapshot
+};
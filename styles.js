@@ -0,0 +1,247 @@
+const { collection, doc, getDoc, getDocs, runTransaction } = require('./stores');
+const { db } = require('./firebase');
+const { writeAdminAction } = require('./audit');
+const { logger } = require('./logger');
+const { NON_BLANK } = require('./validation');
+
+// Style catalog
+//
+// Styles live in the `styles` collection, keyed by style id. Every change
+// bumps the style's `version` and stores a snapshot under
+// styles/<id>/versions/<version>, so each generated image can record exactly
+// which version of a style produced it.
+
+const stylesCollection = collection(db, 'styles');
+
+const DEFAULT_STYLE_ID = 'ghibli-nature';
+
+// Fields an admin may set on a style
+const STYLE_FIELDS = ['name', 'description', 'promptTemplate', 'previewImageUrl', 'provider', 'model', 'creditCost', 'enabled'];
+
+const STYLE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+// Schemas of the admin routes' request bodies, for validate() (see validation.js).
+// createStyle and updateStyle rely on them; they only check what a schema
+// can't, i.e. that a new style's id isn't taken.
+const styleProperties = {
+  name: { type: 'string', pattern: NON_BLANK },
+  description: { type: 'string' },
+  promptTemplate: { type: 'string', pattern: NON_BLANK, description: 'Instructions added to every prompt in this style' },
+  previewImageUrl: { type: 'string', nullable: true },
+  provider: { type: 'string', nullable: true, description: 'Image provider to prefer for this style' },
+  model: { type: 'string', nullable: true, description: 'Model to ask that provider for' },
+  creditCost: { type: 'integer', minimum: 1 },
+  enabled: { type: 'boolean' }
+};
+
+const createStyleSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', pattern: STYLE_ID_PATTERN.source, description: '2-64 lowercase letters, digits or dashes' },
+    ...styleProperties
+  },
+  required: ['id', 'name', 'promptTemplate']
+};
+
+const updateStyleSchema = { type: 'object', properties: styleProperties };
+
+// The original built-in styles, created on startup if they don't exist yet
+const defaultStyles = [
+  {
+    id: 'ghibli-nature',
+    name: 'Nature',
+    description: 'Hand-painted landscapes and dreamy skies',
+    promptTemplate: 'Create a Studio Ghibli artwork in Hayao Miyazaki\'s distinctive style showing the exact same scene with hand-painted textures, soft pastel colors, and dreamy atmosphere like in "My Neighbor Totoro" or "Princess Mononoke"'
+  },
+  {
+    id: 'ghibli-character',
+    name: 'Character',
+    description: 'Portraits with rounded features and expressive eyes',
+    promptTemplate: 'Create a Studio Ghibli artwork in Hayao Miyazaki\'s distinctive style showing the exact same scene with simple rounded features, expressive eyes, and soft colors like in "Spirited Away" or "Kiki\'s Delivery Service"'
+  },
+  {
+    id: 'ghibli-cityscape',
+    name: 'Cityscape',
+    description: 'Detailed streets and buildings in warm light',
+    promptTemplate: 'Create a Studio Ghibli artwork in Hayao Miyazaki\'s distinctive style showing the exact same scene with detailed architecture, warm lighting, and nostalgic atmosphere like in "Whisper of the Heart" or "From Up On Poppy Hill"'
+  },
+  {
+    id: 'ghibli-fantasy',
+    name: 'Fantasy',
+    description: 'Magical creatures and ethereal lighting',
+    promptTemplate: 'Create a Studio Ghibli artwork in Hayao Miyazaki\'s distinctive style showing the exact same scene with magical elements, whimsical creatures, and ethereal lighting like in "Spirited Away" or "Howl\'s Moving Castle"'
+  }
+];
+
+const toStyle = (styleDocSnap) => ({ id: styleDocSnap.id, ...styleDocSnap.data() });
+
+// The subset of a style shown to everyone
+const toPublicStyle = (style) => ({
+  id: style.id,
+  name: style.name,
+  description: style.description,
+  previewImageUrl: style.previewImageUrl,
+  creditCost: style.creditCost,
+  version: style.version
+});
+
+const pickStyleFields = (data) => {
+  const fields = {};
+  STYLE_FIELDS
+    .filter(field => data[field] !== undefined)
+    .forEach(field => {
+      fields[field] = data[field];
+    });
+  return fields;
+};
+
+const styleExistsError = (styleId) => {
+  const error = new Error(`Style ${styleId} already exists`);
+  error.code = 'STYLE_EXISTS';
+  error.field = 'id';
+  return error;
+};
+
+// Write a new version of a style (and its snapshot) inside a transaction.
+// Changes made by an admin (anyone but 'system') are also audited.
+const writeStyleVersion = (transaction, styleId, style, updatedBy, before) => {
+  const styleDocRef = doc(stylesCollection, styleId);
+  const versionDocRef = doc(collection(styleDocRef, 'versions'), String(style.version));
+
+  transaction.set(styleDocRef, style);
+  transaction.set(versionDocRef, { ...style, updatedBy: updatedBy || null });
+
+  if (updatedBy && updatedBy !== 'system') {
+    writeAdminAction(transaction, {
+      adminId: updatedBy,
+      action: before ? 'style.update' : 'style.create',
+      targetType: 'style',
+      targetId: styleId,
+      before: before || null,
+      after: style
+    });
+  }
+};
+
+const createStyle = async (styleId, data, updatedBy) => {
+  try {
+    const fields = pickStyleFields(data);
+
+    return await runTransaction(db, async (transaction) => {
+      const styleDocSnap = await transaction.get(doc(stylesCollection, styleId));
+
+      if (styleDocSnap.exists()) {
+        throw styleExistsError(styleId);
+      }
+
+      const now = new Date();
+      const style = {
+        description: '',
+        previewImageUrl: null,
+        provider: null,
+        model: null,
+        creditCost: 1,
+        enabled: true,
+        ...fields,
+        version: 1,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      writeStyleVersion(transaction, styleId, style, updatedBy);
+      return { id: styleId, ...style };
+    });
+  } catch (error) {
+    if (error.code !== 'STYLE_EXISTS') {
+      logger.error('Error creating style', error);
+    }
+    throw error;
+  }
+};
+
+// Returns null if the style doesn't exist
+const updateStyle = async (styleId, data, updatedBy) => {
+  try {
+    const fields = pickStyleFields(data);
+
+    return await runTransaction(db, async (transaction) => {
+      const styleDocSnap = await transaction.get(doc(stylesCollection, styleId));
+
+      if (!styleDocSnap.exists()) {
+        return null;
+      }
+
+      const current = styleDocSnap.data();
+      const style = {
+        ...current,
+        ...fields,
+        version: current.version + 1,
+        updatedAt: new Date()
+      };
+
+      writeStyleVersion(transaction, styleId, style, updatedBy, current);
+      return { id: styleId, ...style };
+    });
+  } catch (error) {
+    logger.error('Error updating style', error);
+    throw error;
+  }
+};
+
+const getStyle = async (styleId) => {
+  try {
+    const styleDocSnap = await getDoc(doc(stylesCollection, styleId));
+    return styleDocSnap.exists() ? toStyle(styleDocSnap) : null;
+  } catch (error) {
+    logger.error('Error getting style', error);
+    throw error;
+  }
+};
+
+const listStyles = async ({ includeDisabled = false } = {}) => {
+  try {
+    const stylesSnapshot = await getDocs(stylesCollection);
+    return stylesSnapshot.docs
+      .map(toStyle)
+      .filter(style => includeDisabled || style.enabled)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  } catch (error) {
+    logger.error('Error listing styles', error);
+    throw error;
+  }
+};
+
+// Create any built-in style that doesn't exist yet. Existing styles are left
+// alone, so admin edits and disabled styles survive restarts.
+const ensureDefaultStyles = async () => {
+  let created = 0;
+
+  for (const { id, ...data } of defaultStyles) {
+    if (!(await getStyle(id))) {
+      try {
+        await createStyle(id, data, 'system');
+        created++;
+      } catch (error) {
+        // Another instance may have created it first
+        if (error.code !== 'STYLE_EXISTS') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  return created;
+};
+
+module.exports = {
+  stylesCollection,
+  DEFAULT_STYLE_ID,
+  createStyleSchema,
+  updateStyleSchema,
+  toPublicStyle,
+  createStyle,
+  updateStyle,
+  getStyle,
+  listStyles,
+  ensureDefaultStyles
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Temporary assets
+//
+// Uploads are kept on local disk while their generation runs, so the
+// frontend can show them. Files get random names and are only served through
+// signed URLs that expire together with the file. A sweeper deletes expired
+// files on startup and periodically, so nothing is left behind by a restart,
+// and the directory is capped in size by evicting the oldest files first.
+// Eviction never touches an unexpired file this process saved and hasn't
+// removed yet, since its job may still be running and its URL handed out;
+// when only such files are left, saving fails with TEMP_STORAGE_FULL.
+// Saves run one at a time, so concurrent uploads can't both count the same
+// free space.
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+const DEFAULT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const ASSET_NAME_PATTERN = /^[a-f0-9]{32}\.(jpg|png)$/;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+const createTempAssetStore = ({ dir, secret, ttlMs = DEFAULT_TTL_MS, maxBytes = DEFAULT_MAX_BYTES }) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const filePath = (name) => path.join(dir, name);
+
+  // Names of files saved and not yet removed by this process
+  const inUse = new Set();
+
+  // Saves queue up behind each other
+  let saving = Promise.resolve();
+
+  // Files expire `ttlMs` after they were written
+  const expiresAt = (stats) => stats.mtimeMs + ttlMs;
+
+  const sign = (name, expires) => crypto
+    .createHmac('sha256', secret)
+    .update(`${name}:${expires}`)
+    .digest('hex');
+
+  // Every stored file with its size and expiry, oldest first
+  const listAssets = async () => {
+    const names = (await fs.promises.readdir(dir)).filter(name => ASSET_NAME_PATTERN.test(name));
+    const assets = await Promise.all(names.map(async (name) => {
+      try {
+        const stats = await fs.promises.stat(filePath(name));
+        return { name, size: stats.size, expiresAt: expiresAt(stats) };
+      } catch (error) {
+        // Removed while listing
+        return null;
+      }
+    }));
+    return assets.filter(Boolean).sort((a, b) => a.expiresAt - b.expiresAt);
+  };
+
+  const remove = async (name) => {
+    if (ASSET_NAME_PATTERN.test(name)) {
+      await fs.promises.rm(filePath(name), { force: true });
+      inUse.delete(name);
+    }
+  };
+
+  // Delete expired files. Returns how many were deleted.
+  const sweep = async () => {
+    const now = Date.now();
+    const expired = (await listAssets()).filter(asset => asset.expiresAt <= now);
+    await Promise.all(expired.map(asset => remove(asset.name)));
+    return expired.length;
+  };
+
+  // Make room for `bytes` more by deleting the oldest files that aren't in use
+  const makeRoom = async (bytes) => {
+    if (bytes > maxBytes) {
+      throw new Error(`Temporary asset of ${bytes} bytes exceeds the ${maxBytes} byte limit`);
+    }
+
+    const now = Date.now();
+    const assets = await listAssets();
+    let totalBytes = assets.reduce((sum, asset) => sum + asset.size, 0);
+    const evictable = assets.filter(asset => asset.expiresAt <= now || !inUse.has(asset.name));
+
+    for (const asset of evictable) {
+      if (totalBytes + bytes <= maxBytes) {
+        break;
+      }
+      await remove(asset.name);
+      totalBytes -= asset.size;
+      logger.info('Evicted temporary asset to stay under the size limit', { name: asset.name, size: asset.size });
+    }
+
+    if (totalBytes + bytes > maxBytes) {
+      const error = new Error('Temporary storage is full with uploads that are still being generated');
+      error.code = 'TEMP_STORAGE_FULL';
+      throw error;
+    }
+  };
+
+  // Store a buffer. Returns { name, expiresAt }.
+  const save = (buffer, contentType) => {
+    const extension = EXTENSIONS[contentType];
+    if (!extension) {
+      return Promise.reject(new Error(`Unsupported temporary asset type: ${contentType}`));
+    }
+
+    const saved = saving.then(async () => {
+      await makeRoom(buffer.length);
+
+      const name = `${crypto.randomBytes(16).toString('hex')}.${extension}`;
+      inUse.add(name);
+      try {
+        await fs.promises.writeFile(filePath(name), buffer);
+      } catch (error) {
+        await remove(name).catch(() => {});
+        throw error;
+      }
+
+      return { name, expiresAt: Date.now() + ttlMs };
+    });
+    saving = saved.catch(() => {});
+    return saved;
+  };
+
+  // A URL for the file that stops working when the file expires
+  const signedUrl = (baseUrl, { name, expiresAt: expires }) => {
+    const expiresSeconds = Math.floor(expires / 1000);
+    return `${baseUrl}/temp/${name}?expires=${expiresSeconds}&signature=${sign(name, expiresSeconds)}`;
+  };
+
+  // Returns the file's path if the signature is valid and unexpired, otherwise null
+  const resolveSigned = (name, expires, signature) => {
+    if (!ASSET_NAME_PATTERN.test(name || '') || typeof signature !== 'string' || !/^\d+$/.test(expires || '')) {
+      return null;
+    }
+
+    if (Number(expires) * 1000 < Date.now()) {
+      return null;
+    }
+
+    const expectedSignature = sign(name, expires);
+    const valid = expectedSignature.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expectedSignature), Buffer.from(signature));
+
+    return valid ? filePath(name) : null;
+  };
+
+  // Sweep now and then every `intervalMs`. Returns a function that stops it.
+  const startSweeper = (intervalMs = DEFAULT_SWEEP_INTERVAL_MS) => {
+    const runSweep = () => sweep()
+      .then(removed => {
+        if (removed > 0) {
+          logger.info('Removed expired temporary assets', { removed });
+        }
+      })
+      .catch(error => logger.error('Error sweeping temporary assets', error));
+
+    runSweep();
+    const timer = setInterval(runSweep, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  };
+
+  return {
+    save,
+    remove,
+    sweep,
+    signedUrl,
+    resolveSigned,
+    startSweeper
+  };
+};
+
+const createDefaultStore = () => {
+  let secret = process.env.TEMP_ASSET_SECRET;
+
+  if (!secret) {
+    // Signed URLs then only work on the instance that issued them, until it restarts
+    logger.warn('TEMP_ASSET_SECRET is missing. Using a random secret for this process.');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return createTempAssetStore({
+    dir: process.env.TEMP_ASSETS_DIR || path.join(__dirname, 'uploads'),
+    secret,
+    ttlMs: parseInt(process.env.TEMP_ASSET_TTL_SECONDS || String(DEFAULT_TTL_MS / 1000), 10) * 1000,
+    maxBytes: parseInt(process.env.TEMP_ASSETS_MAX_BYTES || String(DEFAULT_MAX_BYTES), 10)
+  });
+};
+
+const tempAssets = createDefaultStore();
+
+module.exports = {
+  tempAssets,
+  createTempAssetStore
+};
@@ -1,5 +1,6 @@
 require('dotenv').config();
 const firebase = require('./firebase');
+const ledger = require('./ledger');
 
 async function testFirebase() {
   try {
@@ -24,8 +25,15 @@ async function testFirebase() {
     
     // Test updating user credits
     console.log('Updating user credits...');
-    const updatedCredits = await firebase.updateUserCredits(testUser.id, 10);
+    const { credits: updatedCredits } = await ledger.adjustCredits(testUser.id, 10, { reason: 'test' });
     console.log('Credits updated successfully. New credits:', updatedCredits);
+
+    // Test holding and releasing a credit
+    console.log('Reserving and releasing a credit...');
+    const { holdId } = await ledger.reserveCredits(testUser.id, 1);
+    await ledger.releaseHold(holdId, { reason: 'test' });
+    const ledgerBalance = await ledger.getLedgerBalance(testUser.id);
+    console.log('Ledger balance after release:', ledgerBalance);
     
     // Test saving an image
     console.log('Saving test image...');
@@ -43,8 +51,8 @@ async function testFirebase() {
     
     // Test getting user images
     console.log('Fetching user images...');
-    const userImages = await firebase.getUserImages(testUser.id);
-    console.log('User images fetched successfully. Count:', userImages.length);
+    const { items: userImages, total } = await firebase.listUserImages(testUser.id, { pageSize: 10 });
+    console.log('User images fetched successfully. Count:', userImages.length, 'of', total);
     
     // Test saving a transaction
     console.log('Saving test transaction...');
@@ -58,6 +66,11 @@ async function testFirebase() {
     
     const savedTransaction = await firebase.saveTransaction(testTransaction);
     console.log('Transaction saved successfully:', savedTransaction.id);
+
+    // Test getting user transactions
+    console.log('Fetching user transactions...');
+    const { items: userTransactions } = await firebase.listUserTransactions(testUser.id, { pageSize: 10 });
+    console.log('User transactions fetched successfully. Count:', userTransactions.length);
     
     console.log('All Firebase tests passed successfully!');
   } catch (error) {
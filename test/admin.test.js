@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, testImage } = require('./helpers');
+const { doc, setDoc } = require('../stores');
+const { usersCollection } = require('../firebase');
+const ledger = require('../ledger');
+const moderation = require('../moderation');
+
+describe('admin', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    await server.createUser('liam', { name: 'Liam Neeson', email: 'liam@example.com', credits: 3 });
+    await server.createUser('lisa', { name: 'Lisa', email: 'lisa@example.com' });
+    await server.createUser('mona', { name: 'Mona', email: 'mona@example.com', credits: 1 });
+  });
+
+  after(() => server.close());
+
+  const asAdmin = (method, path, body) => server.request(method, path, { as: 'root', admin: true, body });
+
+  it('keeps admin routes to admins', async () => {
+    const routes = [
+      ['GET', '/api/admin/users?q=li'],
+      ['GET', '/api/admin/users/liam'],
+      ['GET', '/api/admin/users/liam/images'],
+      ['GET', '/api/admin/users/liam/transactions'],
+      ['POST', '/api/admin/users/liam/credits'],
+      ['POST', '/api/admin/users/liam/ban'],
+      ['POST', '/api/admin/users/liam/unban'],
+      ['GET', '/api/admin/moderation/reviews'],
+      ['GET', '/api/admin/audit-log']
+    ];
+    for (const [method, path] of routes) {
+      const { status } = await server.request(method, path, { as: 'liam', body: method === 'POST' ? {} : undefined });
+      assert.equal(status, 403, `${method} ${path}`);
+    }
+  });
+
+  it('searches users by id, email or name prefix', async () => {
+    const byPrefix = await asAdmin('GET', '/api/admin/users?q=li');
+    assert.equal(byPrefix.status, 200);
+    assert.deepEqual(byPrefix.body.users.map(user => user.id).sort(), ['liam', 'lisa']);
+
+    const byId = await asAdmin('GET', '/api/admin/users?q=mona');
+    assert.deepEqual(byId.body.users.map(user => user.id), ['mona']);
+
+    assert.equal((await asAdmin('GET', '/api/admin/users?q=%20')).status, 400);
+  });
+
+  it('gets a user with the balance rebuilt from the ledger', async () => {
+    const { status, body } = await asAdmin('GET', '/api/admin/users/liam');
+    assert.equal(status, 200);
+    assert.equal(body.user.credits, 3);
+    assert.equal(body.ledgerBalance.credits, 3);
+
+    assert.equal((await asAdmin('GET', '/api/admin/users/nobody')).status, 404);
+  });
+
+  it('opens the ledger of users from before it with their balance then', async () => {
+    // Credits set straight on the user document, as before the ledger
+    const legacyUser = (uid, credits) => setDoc(doc(usersCollection, uid), { name: uid, credits, createdAt: new Date(2024, 0, 1) });
+    const getLedgerCredits = async (uid) => (await asAdmin('GET', `/api/admin/users/${uid}`)).body.ledgerBalance.credits;
+
+    await legacyUser('olga', 5);
+    assert.equal(await getLedgerCredits('olga'), 0);
+    assert.deepEqual(await ledger.writeOpeningBalance('olga', { dryRun: true }), { applied: false, existing: false, credits: 5, heldCredits: 0 });
+    assert.equal((await ledger.writeOpeningBalance('olga')).applied, true);
+    assert.equal(await getLedgerCredits('olga'), 5);
+    assert.equal((await ledger.writeOpeningBalance('olga')).existing, true);
+
+    // Spent from after the ledger started, but before the migration ran
+    await legacyUser('omar', 4);
+    await ledger.adjustCredits('omar', -1, { reason: 'test' });
+    assert.deepEqual(await ledger.writeOpeningBalance('omar'), { applied: true, existing: false, credits: 4, heldCredits: 0 });
+    assert.equal(await getLedgerCredits('omar'), 3);
+
+    // Nothing to open
+    assert.equal((await ledger.writeOpeningBalance('lisa')).applied, false);
+  });
+
+  it('adjusts credits with a reason', async () => {
+    const granted = await asAdmin('POST', '/api/admin/users/liam/credits', { amount: 2, reason: 'Failed generation' });
+    assert.equal(granted.status, 200);
+    assert.equal(granted.body.credits, 5);
+
+    const deducted = await asAdmin('POST', '/api/admin/users/liam/credits', { amount: -1, reason: 'Correction' });
+    assert.equal(deducted.body.credits, 4);
+
+    const { body } = await asAdmin('GET', '/api/admin/users/liam/transactions?type=admin-adjustment');
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.transactions.map(transaction => transaction.credits).sort(), [-1, 2]);
+  });
+
+  it('rejects invalid credit adjustments', async () => {
+    assert.equal((await asAdmin('POST', '/api/admin/users/liam/credits', { amount: 0, reason: 'x' })).status, 400);
+    assert.equal((await asAdmin('POST', '/api/admin/users/liam/credits', { amount: 1.5, reason: 'x' })).status, 400);
+    assert.equal((await asAdmin('POST', '/api/admin/users/liam/credits', { amount: 1 })).status, 400);
+    assert.equal((await asAdmin('POST', '/api/admin/users/nobody/credits', { amount: 1, reason: 'x' })).status, 404);
+
+    const overdrawn = await asAdmin('POST', '/api/admin/users/liam/credits', { amount: -100, reason: 'Too much' });
+    assert.equal(overdrawn.status, 400);
+    assert.equal(overdrawn.body.error.code, 'INSUFFICIENT_CREDITS');
+    assert.equal(overdrawn.body.error.field, 'amount');
+    assert.match(overdrawn.body.error.message, /4 available credits/);
+  });
+
+  it('bans and unbans users', async () => {
+    assert.equal((await asAdmin('POST', '/api/admin/users/lisa/ban', {})).status, 400);
+    assert.equal((await asAdmin('POST', '/api/admin/users/nobody/ban', { reason: 'Spam' })).status, 404);
+
+    const banned = await asAdmin('POST', '/api/admin/users/lisa/ban', { reason: 'Spam' });
+    assert.equal(banned.status, 200);
+    assert.equal(banned.body.user.banned, true);
+
+    const refused = await server.request('GET', '/api/user/lisa', { as: 'lisa' });
+    assert.equal(refused.status, 403);
+
+    const unbanned = await asAdmin('POST', '/api/admin/users/lisa/unban', {});
+    assert.equal(unbanned.body.user.banned, false);
+    assert.equal((await server.request('GET', '/api/user/lisa', { as: 'lisa' })).status, 200);
+  });
+
+  it('lists any user\'s images', async () => {
+    const job = await server.generateImage('liam');
+    const { status, body } = await asAdmin('GET', '/api/admin/users/liam/images');
+    assert.equal(status, 200);
+    assert.deepEqual(body.images.map(image => image.id), [job.result.imageId]);
+  });
+
+  it('records moderation rejections for review', async () => {
+    const job = await server.generateImage('mona', { prompt: 'add a forbiddenword please' });
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.code, 'CONTENT_REJECTED');
+
+    const { status, body } = await asAdmin('GET', '/api/admin/moderation/reviews?status=pending');
+    assert.equal(status, 200);
+    assert.equal(body.reviews.length, 1);
+    assert.equal(body.reviews[0].userId, 'mona');
+    assert.equal(body.reviews[0].jobId, job.id);
+    assert.equal(body.reviews[0].reasons[0].code, 'BLOCKLISTED_TERM');
+    assert.match(body.reviews[0].imageSha256, /^[0-9a-f]{64}$/);
+  });
+
+  it('sends the moderation endpoint the image with its own type, and follows MODERATION_FAIL_MODE when it fails', async () => {
+    const inputs = [];
+    const working = { moderations: { create: async ({ input }) => {
+      inputs.push(input);
+      return { results: [{ flagged: false, categories: {} }] };
+    } } };
+    const broken = { moderations: { create: async () => {
+      throw new Error('Service unavailable');
+    } } };
+    const imageBuffer = await testImage();
+    const check = (openai, failMode) => moderation.createModerator({ openai, useApi: true, failMode })
+      .check({ prompt: 'make it sunny', imageBuffer });
+
+    assert.deepEqual(await check(working), { allowed: true });
+    assert.match(inputs[1][0].image_url.url, /^data:image\/jpeg;base64,/);
+
+    assert.deepEqual(await check(broken, 'open'), { allowed: true, unchecked: true });
+    assert.deepEqual(await check(broken, 'closed'), { allowed: false, unavailable: true });
+    assert.throws(() => moderation.createModerator({ openai: broken, failMode: 'sometimes' }), /MODERATION_FAIL_MODE/);
+  });
+
+  it('lists generations that went ahead unchecked for review, without flagging the user', async () => {
+    for (const jobId of ['job-1', 'job-2', 'job-3']) {
+      await moderation.recordUnchecked({ userId: 'lisa', jobId, prompt: null, imageBuffer: Buffer.from('image') });
+    }
+    const { userFlagged } = await moderation.recordRejection({ userId: 'lisa', reasons: [{ source: 'prompt', code: 'BLOCKLISTED_TERM', terms: ['x'] }] });
+    assert.equal(userFlagged, false);
+
+    const { body } = await asAdmin('GET', '/api/admin/moderation/reviews?status=pending');
+    const unchecked = body.reviews.filter(review => review.outcome === 'unchecked');
+    assert.deepEqual(unchecked.map(review => review.jobId).sort(), ['job-1', 'job-2', 'job-3']);
+    assert.deepEqual(unchecked[0].reasons, [{ source: 'moderation', code: 'MODERATION_UNAVAILABLE' }]);
+  });
+
+  it('keeps an audit log of admin actions', async () => {
+    const { status, body } = await asAdmin('GET', '/api/admin/audit-log?targetId=lisa');
+    assert.equal(status, 200);
+    // Entries written in the same millisecond may come in either order
+    assert.deepEqual(body.entries.map(entry => entry.action).sort(), ['user.ban', 'user.unban']);
+    assert.equal(body.entries.find(entry => entry.action === 'user.ban').reason, 'Spam');
+
+    const all = await asAdmin('GET', '/api/admin/audit-log');
+    assert.ok(all.body.entries.some(entry => entry.action === 'user.credits.adjust' && entry.targetId === 'liam'));
+  });
+});
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, testImage, tempDir } = require('./helpers');
+const { createMockProvider } = require('../providers/mock');
+const { doc, updateDoc, getDocs, query, where } = require('../stores');
+const { creditHoldsCollection } = require('../firebase');
+const jobs = require('../jobs');
+const ledger = require('../ledger');
+
+// A provider that behaves like the mock one until a test tells it how to fail
+const mock = createMockProvider();
+const flaky = {
+  name: 'flaky',
+  models: mock.models,
+  failDescribe: null,
+  failGenerate: null,
+  describe: async (options) => {
+    if (flaky.failDescribe) throw flaky.failDescribe;
+    return mock.describe(options);
+  },
+  generate: async (options) => {
+    if (flaky.failGenerate) return flaky.failGenerate(options);
+    return mock.generate(options);
+  }
+};
+
+describe('failed generations', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ provider: flaky });
+    await server.createUser('quinn', { credits: 2 });
+  });
+
+  afterEach(() => {
+    flaky.failDescribe = null;
+    flaky.failGenerate = null;
+  });
+
+  after(() => server.close());
+
+  const getCredits = async (uid) => (await server.request('GET', `/api/user/${uid}`, { as: uid })).body.user.credits;
+
+  const getImages = async (uid) => (await server.request('GET', `/api/user/${uid}/images`, { as: uid })).body.images;
+
+  // Files in local storage
+  const countStoredFiles = () => {
+    const mediaDir = path.join(tempDir, 'media');
+    return fs.existsSync(mediaDir)
+      ? fs.readdirSync(mediaDir, { recursive: true }).filter(name => fs.statSync(path.join(mediaDir, name)).isFile()).length
+      : 0;
+  };
+
+  it('uses the provider it was given by default', async () => {
+    const job = await server.generateImage('quinn');
+    assert.equal(job.status, 'done');
+    assert.equal(job.input.provider, 'flaky');
+    assert.equal(await getCredits('quinn'), 1);
+  });
+
+  it('gives the credit back when the provider errors', async () => {
+    flaky.failGenerate = async () => {
+      throw new Error('upstream timed out');
+    };
+
+    const job = await server.generateImage('quinn');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.statusCode, 500);
+    assert.match(job.error.error, /Error generating image/);
+    assert.equal(await getCredits('quinn'), 1);
+    assert.equal((await getImages('quinn')).length, 1);
+  });
+
+  it('reports images the provider can\'t read as the user\'s error', async () => {
+    flaky.failGenerate = async () => {
+      throw new Error('Invalid input image - format must be in [png, jpeg]');
+    };
+
+    const job = await server.generateImage('quinn');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.statusCode, 400);
+    assert.equal(await getCredits('quinn'), 1);
+  });
+
+  it('gives the credit back when the provider returns no image', async () => {
+    flaky.failGenerate = async () => ({ settings: {} });
+
+    const job = await server.generateImage('quinn');
+    assert.equal(job.status, 'failed');
+    assert.match(job.error.error, /invalid response/);
+    assert.equal(await getCredits('quinn'), 1);
+  });
+
+  it('maps content policy errors to a rejection', async () => {
+    flaky.failDescribe = Object.assign(new Error('Your request was rejected by the safety system'), { status: 400 });
+
+    const job = await server.generateImage('quinn');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.statusCode, 400);
+    assert.equal(job.error.code, 'CONTENT_REJECTED');
+    assert.equal(await getCredits('quinn'), 1);
+  });
+
+  it('discards the image when its credit hold was released before it was charged', async () => {
+    const imagesBefore = (await getImages('quinn')).length;
+    const filesBefore = countStoredFiles();
+
+    // As if the stale hold sweep had run while the provider was busy
+    flaky.failGenerate = async (options) => {
+      const holds = await getDocs(query(creditHoldsCollection, where('userId', '==', 'quinn'), where('status', '==', 'held')));
+      for (const holdDoc of holds.docs) {
+        await ledger.releaseHold(holdDoc.id, { reason: 'stale' });
+      }
+      return mock.generate(options);
+    };
+
+    const job = await server.generateImage('quinn');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.code, 'HOLD_EXPIRED');
+    assert.equal(await getCredits('quinn'), 1);
+    assert.equal((await getImages('quinn')).length, imagesBefore);
+    assert.equal(countStoredFiles(), filesBefore);
+
+    const { body } = await server.request('GET', '/api/user/quinn/transactions?type=image-transformation', { as: 'quinn' });
+    assert.equal(body.total, 1);
+  });
+
+  it('only charges a batch for the images that were generated', async () => {
+    await server.createUser('ravi', { credits: 2 });
+
+    // The first image generates, the second fails
+    let calls = 0;
+    flaky.failGenerate = async () => {
+      calls += 1;
+      if (calls > 1) throw new Error('upstream timed out');
+      return { imageBuffer: await testImage({ width: 256, height: 256, format: 'png' }), settings: { quality: 'standard', size: '256x256' } };
+    };
+
+    const form = new FormData();
+    for (const index of [0, 1]) {
+      form.append('images', new Blob([await testImage()], { type: 'image/jpeg' }), `photo-${index}.jpg`);
+    }
+    const { status, body } = await server.request('POST', '/api/batches', { as: 'ravi', form });
+    assert.equal(status, 202);
+
+    const finished = [];
+    for (const item of body.items) {
+      finished.push((await server.waitForJob('ravi', item.jobId)).status);
+    }
+    assert.deepEqual(finished.sort(), ['done', 'failed']);
+
+    const batch = await server.request('GET', `/api/batches/${body.batchId}`, { as: 'ravi' });
+    assert.equal(batch.body.batch.status, 'done');
+    assert.equal(batch.body.batch.counts.done, 1);
+    assert.equal(batch.body.batch.counts.failed, 1);
+    assert.equal(batch.body.batch.creditsCharged, 1);
+    assert.equal(await getCredits('ravi'), 1);
+  });
+
+  it('deletes the temporary upload when its job can\'t be created', async () => {
+    await server.createUser('sana', { credits: 1 });
+    const uploadsDir = path.join(tempDir, 'uploads');
+    const countTempUploads = () => (fs.existsSync(uploadsDir) ? fs.readdirSync(uploadsDir).length : 0);
+    const tempUploadsBefore = countTempUploads();
+
+    const createJob = jobs.createJob;
+    jobs.createJob = async () => {
+      throw new Error('Store unavailable');
+    };
+
+    try {
+      const { status } = await server.request('POST', '/api/upload-image', { as: 'sana', form: await server.uploadForm() });
+      assert.equal(status, 500);
+    } finally {
+      jobs.createJob = createJob;
+    }
+
+    assert.equal(countTempUploads(), tempUploadsBefore);
+    assert.equal(await getCredits('sana'), 1);
+  });
+
+  describe('interrupted jobs', () => {
+    const createJob = () => jobs.createJob({ userId: 'quinn', type: 'image-transformation', holdId: null, input: {} });
+
+    // As if the server running the job had died that long ago
+    const stopHeartbeat = (jobId, ms) => updateDoc(doc(jobs.jobsCollection, jobId), {
+      heartbeatAt: new Date(Date.now() - ms)
+    });
+
+    it('only fails jobs whose server stopped sending heartbeats', async () => {
+      const live = await createJob();
+      const draining = await createJob();
+      const dead = await createJob();
+      await stopHeartbeat(draining.id, jobs.STALE_JOB_MS / 2);
+      await stopHeartbeat(dead.id, jobs.STALE_JOB_MS + 1000);
+
+      const interrupted = await jobs.failInterruptedJobs();
+      assert.deepEqual(interrupted.map(job => job.id), [dead.id]);
+
+      assert.equal((await jobs.getJob(live.id)).status, 'queued');
+      assert.equal((await jobs.getJob(draining.id)).status, 'queued');
+      assert.equal((await jobs.getJob(dead.id)).error.code, 'INTERRUPTED');
+      assert.equal((await jobs.getJob(dead.id)).instanceId, jobs.INSTANCE_ID);
+    });
+
+    it('never changes a finished job', async () => {
+      const job = await createJob();
+      await stopHeartbeat(job.id, jobs.STALE_JOB_MS + 1000);
+      await jobs.failInterruptedJobs();
+
+      assert.equal(await jobs.completeJob(job.id, { success: true }), false);
+      await jobs.setStage(job.id, 'saving');
+      const failed = await jobs.getJob(job.id);
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.stage, 'failed');
+      assert.equal(failed.result, null);
+
+      const done = await createJob();
+      assert.equal(await jobs.completeJob(done.id, { success: true }), true);
+      assert.equal(await jobs.failJob(done.id, 500, { error: 'Too late' }), false);
+      assert.equal((await jobs.getJob(done.id)).status, 'done');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('gallery and shares', () => {
+  let server;
+  let imageId;
+  let otherImageId;
+
+  before(async () => {
+    server = await startServer();
+    await server.createUser('erin', { credits: 10 });
+    await server.createUser('frank', { credits: 10 });
+
+    imageId = (await server.generateImage('erin', { style: 'ghibli-nature' })).result.imageId;
+    otherImageId = (await server.generateImage('erin', { style: 'ghibli-fantasy' })).result.imageId;
+  });
+
+  after(() => server.close());
+
+  it('gets one of the user\'s images', async () => {
+    const { status, body } = await server.request('GET', `/api/images/${imageId}`, { as: 'erin' });
+    assert.equal(status, 200);
+    assert.equal(body.image.id, imageId);
+    assert.equal(body.image.userId, 'erin');
+    assert.equal(body.image.style, 'ghibli-nature');
+    assert.equal(body.image.provider, 'mock');
+  });
+
+  it('serves stored images from local storage', async () => {
+    const { body } = await server.request('GET', `/api/images/${imageId}`, { as: 'erin' });
+    const mediaPath = new URL(body.image.imageUrl).pathname;
+
+    const file = await server.request('GET', mediaPath);
+    assert.equal(file.status, 200);
+    assert.ok(file.body.length > 0);
+  });
+
+  it('hides other users\' images', async () => {
+    for (const [method, path] of [['GET', ''], ['PATCH', ''], ['DELETE', ''], ['POST', '/share'], ['GET', '/shares']]) {
+      const { status } = await server.request(method, `/api/images/${imageId}${path}`, { as: 'frank', body: method === 'GET' ? undefined : { title: 'Mine now' } });
+      assert.equal(status, 404, `${method} ${path}`);
+    }
+  });
+
+  it('updates the title, tags and favorite flag', async () => {
+    const { status, body } = await server.request('PATCH', `/api/images/${imageId}`, {
+      as: 'erin',
+      body: { title: '  Summer  ', tags: ['Holiday', 'holiday ', 'beach'], favorite: true }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.image.title, 'Summer');
+    assert.deepEqual(body.image.tags, ['holiday', 'beach']);
+    assert.equal(body.image.favorite, true);
+  });
+
+  it('rejects invalid image updates', async () => {
+    for (const update of [{ title: 5 }, { tags: 'beach' }, { title: 'x'.repeat(101) }]) {
+      const { status } = await server.request('PATCH', `/api/images/${imageId}`, { as: 'erin', body: update });
+      assert.equal(status, 400, JSON.stringify(update));
+    }
+  });
+
+  it('lists images with filters', async () => {
+    const all = await server.request('GET', '/api/user/erin/images', { as: 'erin' });
+    assert.equal(all.status, 200);
+    assert.equal(all.body.total, 2);
+
+    const favorites = await server.request('GET', '/api/user/erin/images?favorite=true', { as: 'erin' });
+    assert.deepEqual(favorites.body.images.map(image => image.id), [imageId]);
+
+    const tagged = await server.request('GET', '/api/user/erin/images?tag=BEACH', { as: 'erin' });
+    assert.deepEqual(tagged.body.images.map(image => image.id), [imageId]);
+
+    const byStyle = await server.request('GET', '/api/user/erin/images?style=ghibli-fantasy', { as: 'erin' });
+    assert.deepEqual(byStyle.body.images.map(image => image.id), [otherImageId]);
+
+    const invalid = await server.request('GET', '/api/user/erin/images?favorite=false', { as: 'erin' });
+    assert.equal(invalid.status, 400);
+  });
+
+  describe('shares', () => {
+    let share;
+
+    it('creates a share link', async () => {
+      const { status, body } = await server.request('POST', `/api/images/${imageId}/share`, { as: 'erin', body: { branding: false } });
+      assert.equal(status, 201);
+      assert.equal(body.share.imageId, imageId);
+      assert.equal(body.share.branding, false);
+      assert.equal(body.share.viewCount, 0);
+      assert.match(body.share.shareUrl, new RegExp(`/share/${body.share.token}$`));
+      share = body.share;
+    });
+
+    it('rejects a non-boolean branding flag', async () => {
+      const { status } = await server.request('POST', `/api/images/${imageId}/share`, { as: 'erin', body: { branding: 'yes' } });
+      assert.equal(status, 400);
+    });
+
+    it('shows the shared image publicly and counts views', async () => {
+      const first = await server.request('GET', `/share/${share.token}`);
+      assert.equal(first.status, 200);
+      assert.equal(first.body.share.title, 'Summer');
+      assert.equal(first.body.share.viewCount, 1);
+      assert.equal(first.body.share.userId, undefined);
+
+      const second = await server.request('GET', `/share/${share.token}`);
+      assert.equal(second.body.share.viewCount, 2);
+    });
+
+    it('serves the preview image', async () => {
+      const { status, headers, body } = await server.request('GET', `/share/${share.token}/image`);
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'image/jpeg');
+      assert.ok(body.length > 0);
+    });
+
+    it('lists an image\'s shares', async () => {
+      const { status, body } = await server.request('GET', `/api/images/${imageId}/shares`, { as: 'erin' });
+      assert.equal(status, 200);
+      assert.deepEqual(body.shares.map(({ token }) => token), [share.token]);
+      assert.equal(body.shares[0].viewCount, 2);
+    });
+
+    it('only lets the owner revoke a share', async () => {
+      const denied = await server.request('DELETE', `/api/shares/${share.token}`, { as: 'frank' });
+      assert.equal(denied.status, 404);
+
+      const revoked = await server.request('DELETE', `/api/shares/${share.token}`, { as: 'erin' });
+      assert.equal(revoked.status, 200);
+      assert.equal(revoked.body.share.revoked, true);
+
+      assert.equal((await server.request('GET', `/share/${share.token}`)).status, 404);
+      assert.equal((await server.request('GET', `/share/${share.token}/image`)).status, 404);
+    });
+
+    it('reports unknown shares as not found', async () => {
+      assert.equal((await server.request('GET', '/share/unknown-token')).status, 404);
+    });
+  });
+
+  it('deletes an image and its shares', async () => {
+    const { body: { share } } = await server.request('POST', `/api/images/${otherImageId}/share`, { as: 'erin', body: {} });
+
+    const deleted = await server.request('DELETE', `/api/images/${otherImageId}`, { as: 'erin' });
+    assert.equal(deleted.status, 200);
+
+    assert.equal((await server.request('GET', `/api/images/${otherImageId}`, { as: 'erin' })).status, 404);
+    assert.equal((await server.request('GET', `/share/${share.token}`)).status, 404);
+    assert.equal((await server.request('DELETE', `/api/images/${otherImageId}`, { as: 'erin' })).status, 404);
+
+    const { body } = await server.request('GET', '/api/user/erin/images', { as: 'erin' });
+    assert.deepEqual(body.images.map(image => image.id), [imageId]);
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, testImage, tokenFor } = require('./helpers');
+
+describe('image generation', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const getCredits = async (uid) => (await server.request('GET', `/api/user/${uid}`, { as: uid })).body.user.credits;
+
+  const upload = async (uid, { fields, image } = {}) => server.request('POST', '/api/upload-image', {
+    as: uid,
+    form: await server.uploadForm({ fields, image })
+  });
+
+  // Read a job's event stream until the server closes it. Returns [{ event, data }].
+  const readEvents = async (path) => {
+    const response = await fetch(`${server.baseUrl}${path}`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const text = await response.text();
+    return text.split('\n\n')
+      .filter(block => block.startsWith('event: '))
+      .map((block) => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+      });
+  };
+
+  describe('single uploads', () => {
+    let job;
+
+    before(() => server.createUser('nina', { credits: 3 }));
+
+    it('validates the upload before holding credits', async () => {
+      const noFile = await server.request('POST', '/api/upload-image', { as: 'nina', form: new FormData() });
+      assert.equal(noFile.status, 400);
+      assert.deepEqual(noFile.body.error, { code: 'NO_FILE', message: noFile.body.error.message, field: 'image' });
+
+      const notAnImage = await upload('nina', { image: Buffer.from('definitely not an image') });
+      assert.equal(notAnImage.status, 400);
+      assert.equal(notAnImage.body.error.code, 'UNSUPPORTED_FORMAT');
+
+      const tooSmall = await upload('nina', { image: await testImage({ width: 10, height: 10 }) });
+      assert.equal(tooSmall.status, 400);
+      assert.equal(tooSmall.body.error.code, 'IMAGE_TOO_SMALL');
+
+      const unknownStyle = await upload('nina', { fields: { style: 'vaporwave' } });
+      assert.equal(unknownStyle.status, 400);
+      assert.equal(unknownStyle.body.error.code, 'UNKNOWN_STYLE');
+
+      const unknownProvider = await upload('nina', { fields: { provider: 'midjourney' } });
+      assert.equal(unknownProvider.status, 400);
+      assert.equal(unknownProvider.body.error.field, 'provider');
+
+      const badDetail = await upload('nina', { fields: { detailLevel: 150 } });
+      assert.equal(badDetail.status, 400);
+      assert.deepEqual(badDetail.body.error, { code: 'OUT_OF_RANGE', message: 'detailLevel must be at most 100', field: 'detailLevel' });
+
+      const notANumber = await upload('nina', { fields: { detailLevel: 'high' } });
+      assert.equal(notANumber.body.error.code, 'INVALID_TYPE');
+
+      assert.equal(await getCredits('nina'), 3);
+    });
+
+    it('requires a user profile and enough credits', async () => {
+      const noProfile = await upload('stranger');
+      assert.equal(noProfile.status, 404);
+
+      await server.createUser('oscar');
+      const broke = await upload('oscar');
+      assert.equal(broke.status, 400);
+      assert.equal(broke.body.error.code, 'INSUFFICIENT_CREDITS');
+      assert.equal(broke.body.error.available, 0);
+    });
+
+    it('runs a generation as a background job', async () => {
+      const response = await upload('nina', { fields: { prompt: 'make it sunny', style: 'ghibli-nature' } });
+      assert.equal(response.status, 202);
+      assert.equal(response.body.success, true);
+      assert.equal(response.body.creditCost, 1);
+      assert.equal(response.body.statusUrl, `/api/jobs/${response.body.jobId}`);
+
+      job = await server.waitForJob('nina', response.body.jobId);
+      assert.equal(job.status, 'done');
+      assert.equal(job.input.provider, 'mock');
+      assert.deepEqual(
+        job.stages.map(({ stage }) => stage),
+        ['queued', 'preprocessing', 'moderating', 'analyzing', 'prompting', 'generating', 'saving', 'done']
+      );
+      assert.equal(job.result.credits, 2);
+      assert.equal(job.result.originalPrompt, 'make it sunny');
+      assert.ok(job.result.imageId);
+
+      assert.equal(await getCredits('nina'), 2);
+
+      const { body } = await server.request('GET', '/api/user/nina/transactions?type=image-transformation', { as: 'nina' });
+      assert.equal(body.total, 1);
+      assert.equal(body.transactions[0].imageId, job.result.imageId);
+      assert.equal(body.transactions[0].credits, -1);
+    });
+
+    it('serves the upload through its signed temporary URL', async () => {
+      const tempPath = new URL(job.input.originalImageUrl);
+      assert.equal(tempPath.pathname.startsWith('/temp/'), true);
+
+      const file = await server.request('GET', `${tempPath.pathname}${tempPath.search}`);
+      assert.equal(file.status, 200);
+      assert.equal(file.headers.get('content-type'), 'image/jpeg');
+    });
+
+    it('hides jobs from other users', async () => {
+      assert.equal((await server.request('GET', `/api/jobs/${job.id}`, { as: 'oscar' })).status, 404);
+      assert.equal((await server.request('GET', '/api/jobs/missing-job', { as: 'nina' })).status, 404);
+    });
+
+    it('streams job events, with the token in the query string', async () => {
+      const events = await readEvents(`/api/jobs/${job.id}/events?access_token=${tokenFor('nina')}`);
+      assert.deepEqual(events.map(({ event }) => event), ['stage', 'done']);
+      assert.equal(events[1].data.result.imageId, job.result.imageId);
+
+      const denied = await fetch(`${server.baseUrl}/api/jobs/${job.id}/events?access_token=${tokenFor('oscar')}`);
+      assert.equal(denied.status, 404);
+    });
+
+    it('gives back held credits when moderation rejects a generation', async () => {
+      const response = await upload('nina', { fields: { prompt: 'a forbiddenword landscape' } });
+      const failed = await server.waitForJob('nina', response.body.jobId);
+
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.error.code, 'CONTENT_REJECTED');
+      assert.equal(await getCredits('nina'), 2);
+    });
+  });
+
+  describe('batches', () => {
+    let batchId;
+
+    before(() => server.createUser('pia', { credits: 3 }));
+
+    const uploadBatch = async (uid, images, fields = {}) => {
+      const form = new FormData();
+      for (const [name, value] of Object.entries(fields)) {
+        form.append(name, String(value));
+      }
+      images.forEach((image, index) => form.append('images', new Blob([image], { type: 'image/jpeg' }), `photo-${index}.jpg`));
+      return server.request('POST', '/api/batches', { as: uid, form });
+    };
+
+    it('needs credits for every image up front', async () => {
+      const images = await Promise.all([1, 2, 3, 4].map(() => testImage()));
+      const { status, body } = await uploadBatch('pia', images);
+      assert.equal(status, 400);
+      assert.equal(body.error.code, 'INSUFFICIENT_CREDITS');
+      assert.equal(body.error.required, 4);
+      assert.equal(body.error.available, 3);
+    });
+
+    it('rejects the whole batch if one image is invalid', async () => {
+      const { status, body } = await uploadBatch('pia', [await testImage(), Buffer.from('nope')]);
+      assert.equal(status, 400);
+      assert.equal(body.error.field, 'images');
+      assert.equal(body.error.index, 1);
+      assert.equal(body.error.filename, 'photo-1.jpg');
+    });
+
+    it('runs each image as its own job', async () => {
+      const { status, body } = await uploadBatch('pia', [await testImage(), await testImage({ color: '#cc9966' })], { style: 'ghibli-cityscape' });
+      assert.equal(status, 202);
+      assert.equal(body.totalCreditCost, 2);
+      assert.equal(body.items.length, 2);
+      batchId = body.batchId;
+
+      for (const item of body.items) {
+        const itemJob = await server.waitForJob('pia', item.jobId);
+        assert.equal(itemJob.status, 'done');
+        assert.equal(itemJob.input.batchId, batchId);
+      }
+
+      const batch = await server.request('GET', `/api/batches/${batchId}`, { as: 'pia' });
+      assert.equal(batch.status, 200);
+      assert.equal(batch.body.batch.status, 'done');
+      assert.deepEqual(batch.body.batch.counts, { queued: 0, running: 0, done: 2, failed: 0 });
+      assert.equal(batch.body.batch.creditsCharged, 2);
+      assert.equal(await getCredits('pia'), 1);
+    });
+
+    it('hides batches from other users', async () => {
+      assert.equal((await server.request('GET', `/api/batches/${batchId}`, { as: 'nina' })).status, 404);
+      assert.equal((await server.request('GET', '/api/batches/missing', { as: 'pia' })).status, 404);
+    });
+  });
+});
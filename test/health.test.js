@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tempDir } = require('./helpers');
+const { createTempAssetStore } = require('../temp-assets');
+
+describe('health, metrics and public routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('answers on /', async () => {
+    const { status, body } = await server.request('GET', '/');
+    assert.equal(status, 200);
+    assert.match(body, /API is running/);
+  });
+
+  it('reports liveness and readiness', async () => {
+    const health = await server.request('GET', '/healthz');
+    assert.equal(health.status, 200);
+    assert.deepEqual(health.body, { status: 'ok' });
+
+    const ready = await server.request('GET', '/readyz');
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, 'ready');
+    assert.deepEqual(ready.body.checks.provider, { ok: true, name: 'mock' });
+    assert.deepEqual(ready.body.checks.store, { ok: true });
+  });
+
+  it('echoes a valid X-Request-Id and generates one otherwise', async () => {
+    const echoed = await server.request('GET', '/healthz', { headers: { 'X-Request-Id': 'abc-123' } });
+    assert.equal(echoed.headers.get('x-request-id'), 'abc-123');
+
+    const generated = await server.request('GET', '/healthz', { headers: { 'X-Request-Id': 'not a valid id!' } });
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('serves Prometheus metrics labelled by route pattern', async () => {
+    await server.request('GET', '/api/packs');
+    const { status, headers, body } = await server.request('GET', '/metrics');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/plain/);
+    assert.match(body, /http_request_duration_seconds_count\{method="GET",route="\/api\/packs",status_code="200"\}/);
+  });
+
+  it('requires the metrics token when one is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    try {
+      const denied = await server.request('GET', '/metrics');
+      assert.equal(denied.status, 401);
+
+      const allowed = await server.request('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-secret' } });
+      assert.equal(allowed.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+
+  it('lists the active credit packs', async () => {
+    const { status, body } = await server.request('GET', '/api/packs');
+    assert.equal(status, 200);
+    assert.deepEqual(body.packs.map(pack => pack.id), ['starter', 'popular', 'pro']);
+  });
+
+  it('rejects the retired text-to-image endpoint', async () => {
+    const { status, body } = await server.request('POST', '/api/generate-image', { body: { prompt: 'a cat' } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'ENDPOINT_REMOVED');
+    assert.match(body.error.message, /no longer supported/);
+  });
+
+  it('does not serve temporary uploads without a valid signature', async () => {
+    const name = `${'a'.repeat(32)}.jpg`;
+    const unsigned = await server.request('GET', `/temp/${name}`);
+    assert.equal(unsigned.status, 404);
+
+    const forged = await server.request('GET', `/temp/${name}?expires=9999999999&signature=${'0'.repeat(64)}`);
+    assert.equal(forged.status, 404);
+  });
+
+  it('only evicts temporary uploads that are no longer in use', async () => {
+    const dir = path.join(tempDir, 'eviction');
+    const store = createTempAssetStore({ dir, secret: 'test', maxBytes: 100 });
+    const listSizes = () => fs.readdirSync(dir).map(name => fs.statSync(path.join(dir, name)).size).sort();
+
+    // Left behind by a restart
+    fs.writeFileSync(path.join(dir, `${'b'.repeat(32)}.jpg`), Buffer.alloc(40));
+
+    // Saved together, they still can't both count the leftover's space as free
+    const [first] = await Promise.all([store.save(Buffer.alloc(40), 'image/jpeg'), store.save(Buffer.alloc(50), 'image/jpeg')]);
+    assert.deepEqual(listSizes(), [40, 50]);
+
+    // Both are in use, so nothing can make room
+    await assert.rejects(store.save(Buffer.alloc(30), 'image/jpeg'), { code: 'TEMP_STORAGE_FULL' });
+    assert.deepEqual(listSizes(), [40, 50]);
+
+    await store.remove(first.name);
+    await store.save(Buffer.alloc(30), 'image/jpeg');
+    assert.deepEqual(listSizes(), [30, 50]);
+  });
+
+  it('turns unready and refuses new generations while draining', async () => {
+    await server.createUser('drain-user', { credits: 5 });
+    server.lifecycle.startDraining();
+
+    const ready = await server.request('GET', '/readyz');
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.checks.draining.ok, false);
+
+    const upload = await server.request('POST', '/api/upload-image', { as: 'drain-user', form: await server.uploadForm() });
+    assert.equal(upload.status, 503);
+    assert.equal(upload.body.code, 'SERVER_DRAINING');
+    assert.equal(upload.headers.get('retry-after'), '30');
+
+    const batch = await server.request('POST', '/api/batches', { as: 'drain-user', form: await server.uploadForm() });
+    assert.equal(batch.status, 503);
+
+    // Other requests are still served
+    const health = await server.request('GET', '/healthz');
+    assert.equal(health.status, 200);
+  });
+});
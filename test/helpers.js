@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline test harness
+//
+// Every test file starts its own server: an in-memory store, fake Razorpay
+// payments, the mock image provider, local storage in a temporary directory
+// and moderation without the OpenAI endpoint. Nothing touches the network.
+// The environment is set before any app module is loaded, so this file must
+// be required before them.
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spiritbe-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+  STORE_BACKEND: 'memory',
+  STORAGE_BACKEND: 'local',
+  LOCAL_STORAGE_DIR: path.join(tempDir, 'media'),
+  PUBLIC_BASE_URL: 'http://localhost',
+  TEMP_ASSETS_DIR: path.join(tempDir, 'uploads'),
+  TEMP_ASSET_SECRET: 'test-temp-asset-secret',
+  IMAGE_PROVIDER: 'mock',
+  MODERATION_API: 'off',
+  MODERATION_BLOCKLIST: 'forbiddenword',
+  RATE_LIMITS: JSON.stringify(Object.fromEntries(
+    ['upload-image', 'upload-batch', 'create-order', 'verify-payment', 'create-share', 'share-view']
+      .map(route => [route, { user: { limit: 1000, windowSeconds: 60 }, ip: { limit: 1000, windowSeconds: 60 } }])
+  ))
+});
+delete process.env.METRICS_TOKEN;
+delete process.env.OPENAI_API_KEY;
+
+const sharp = require('sharp');
+const { createApp } = require('../app');
+const { createMemoryStore } = require('../stores/memory');
+const { createFakePayments } = require('../payments');
+const { setTokenVerifier } = require('../auth');
+const ledger = require('../ledger');
+const styles = require('../styles');
+
+// Test ID tokens are "test-token:<uid>", or "test-token:<uid>:admin" for admins
+const TOKEN_PREFIX = 'test-token:';
+
+setTokenVerifier(async (idToken) => {
+  if (!idToken.startsWith(TOKEN_PREFIX)) {
+    throw new Error('Not a test token');
+  }
+  const [uid, role] = idToken.slice(TOKEN_PREFIX.length).split(':');
+  return { uid, email: `${uid}@example.com`, admin: role === 'admin' };
+});
+
+const tokenFor = (uid, { admin = false } = {}) => `${TOKEN_PREFIX}${uid}${admin ? ':admin' : ''}`;
+
+// A small solid-color image, as an upload would send it
+const testImage = ({ width = 96, height = 72, format = 'jpeg', color = '#6699cc' } = {}) => sharp({
+  create: { width, height, channels: 3, background: color }
+})[format]().toBuffer();
+
+const startServer = async ({ provider = 'mock' } = {}) => {
+  const store = createMemoryStore();
+  const payments = createFakePayments();
+  const app = createApp({ store, payments, provider });
+  const { lifecycle } = app.locals;
+
+  await styles.ensureDefaultStyles();
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Send a request, as the user `as` (a uid) when given. `body` is sent as
+  // JSON, `form` as multipart. Responses are parsed by content type.
+  const request = async (method, urlPath, { as, admin = false, body, form, headers = {} } = {}) => {
+    const init = { method, headers: { ...headers } };
+
+    if (as) {
+      init.headers.Authorization = `Bearer ${tokenFor(as, { admin })}`;
+    }
+    if (form) {
+      init.body = form;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${urlPath}`, init);
+    const contentType = response.headers.get('content-type') || '';
+    let responseBody;
+    if (contentType.includes('application/json')) {
+      responseBody = await response.json();
+    } else if (contentType.startsWith('image/')) {
+      responseBody = Buffer.from(await response.arrayBuffer());
+    } else {
+      responseBody = await response.text();
+    }
+
+    return { status: response.status, headers: response.headers, body: responseBody };
+  };
+
+  // Create a user profile, optionally with some credits
+  const createUser = async (uid, { credits = 0, ...profile } = {}) => {
+    await request('POST', '/api/user/create', { as: uid, body: { name: uid, email: `${uid}@example.com`, ...profile } });
+    if (credits) {
+      await ledger.adjustCredits(uid, credits, { reason: 'test setup' });
+    }
+  };
+
+  const uploadForm = async ({ image, fields = {} } = {}) => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) {
+      form.append(name, String(value));
+    }
+    const buffer = image || await testImage();
+    form.append('image', new Blob([buffer], { type: 'image/jpeg' }), 'photo.jpg');
+    return form;
+  };
+
+  // Poll a job until it is done or failed
+  const waitForJob = async (uid, jobId, { timeoutMs = 20000 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const { body } = await request('GET', `/api/jobs/${jobId}`, { as: uid });
+      if (body.job && ['done', 'failed'].includes(body.job.status)) {
+        return body.job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish in ${timeoutMs}ms`);
+  };
+
+  // Upload an image and wait for its generation. Returns the finished job.
+  const generateImage = async (uid, fields = {}) => {
+    const response = await request('POST', '/api/upload-image', { as: uid, form: await uploadForm({ fields }) });
+    if (response.status !== 202) {
+      throw new Error(`Upload failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+    return waitForJob(uid, response.body.jobId);
+  };
+
+  const close = async () => {
+    await lifecycle.waitForGenerations(10000);
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  };
+
+  return {
+    app,
+    store,
+    payments,
+    lifecycle,
+    baseUrl,
+    request,
+    createUser,
+    uploadForm,
+    waitForJob,
+    generateImage,
+    close
+  };
+};
+
+module.exports = {
+  tempDir,
+  tokenFor,
+  testImage,
+  startServer
+};
@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const packs = require('../packs');
+const { validateValue } = require('../validation');
+
+describe('request validation and OpenAPI', () => {
+  let server;
+  let spec;
+
+  before(async () => {
+    server = await startServer();
+    await server.createUser('uma', { credits: 2 });
+    spec = (await server.request('GET', '/api/openapi.json')).body;
+  });
+
+  after(() => server.close());
+
+  const asAdmin = (method, path, body) => server.request(method, path, { as: 'root', admin: true, body });
+
+  describe('errors', () => {
+    it('reports the field, with values from the query string converted first', async () => {
+      const tooBig = await server.request('GET', '/api/user/uma/images?limit=500', { as: 'uma' });
+      assert.equal(tooBig.status, 400);
+      assert.deepEqual(tooBig.body, { error: { code: 'OUT_OF_RANGE', message: 'limit must be at most 100', field: 'limit' } });
+
+      const notANumber = await server.request('GET', '/api/user/uma/images?limit=ten', { as: 'uma' });
+      assert.equal(notANumber.body.error.code, 'INVALID_TYPE');
+
+      const repeated = await server.request('GET', '/api/user/uma/transactions?type=a&type=b', { as: 'uma' });
+      assert.deepEqual(repeated.body.error, { code: 'INVALID_TYPE', message: 'type may only be given once', field: 'type' });
+
+      const badCursor = await server.request('GET', '/api/user/uma/images?cursor=nonsense', { as: 'uma' });
+      assert.deepEqual(badCursor.body.error, { code: 'INVALID_VALUE', message: 'cursor is invalid', field: 'cursor' });
+
+      assert.equal((await server.request('GET', '/api/user/uma/images?limit=5', { as: 'uma' })).status, 200);
+    });
+
+    it('checks JSON bodies without converting them', async () => {
+      const missing = await server.request('POST', '/api/create-order', { as: 'uma', body: {} });
+      assert.deepEqual(missing.body.error, { code: 'REQUIRED', message: 'packId is required', field: 'packId' });
+
+      const unknownPack = await server.request('POST', '/api/create-order', { as: 'uma', body: { packId: 'free-lunch' } });
+      assert.equal(unknownPack.body.error.code, 'INVALID_VALUE');
+
+      const stringAmount = await asAdmin('POST', '/api/admin/users/uma/credits', { amount: '5', reason: 'Gift' });
+      assert.deepEqual(stringAmount.body.error, { code: 'INVALID_TYPE', message: 'amount must be a whole number', field: 'amount' });
+
+      const zero = await asAdmin('POST', '/api/admin/users/uma/credits', { amount: 0, reason: 'Nothing' });
+      assert.equal(zero.body.error.code, 'INVALID_VALUE');
+
+      const blankReason = await asAdmin('POST', '/api/admin/users/uma/credits', { amount: 1, reason: '   ' });
+      assert.deepEqual(blankReason.body.error, { code: 'INVALID_VALUE', message: 'reason must not be blank', field: 'reason' });
+
+      const nested = await server.request('PATCH', '/api/images/any', { as: 'uma', body: { tags: ['fine', 7] } });
+      assert.deepEqual(nested.body.error, { code: 'INVALID_TYPE', message: 'tags[1] must be a string', field: 'tags[1]' });
+
+      const notAnObject = await server.request('POST', '/api/verify-payment', { as: 'uma', body: [1, 2] });
+      assert.equal(notAnObject.body.error.code, 'INVALID_TYPE');
+      assert.equal(notAnObject.body.error.field, null);
+    });
+
+    it('checks the body before touching anything', async () => {
+      const { status, body } = await asAdmin('POST', '/api/admin/refunds', { transactionId: 'missing', amount: '-5', reason: 'Oops' });
+      assert.equal(status, 400);
+      assert.equal(body.error.field, 'amount');
+      assert.equal(server.payments.refunds.length, 0);
+    });
+
+    it('still checks authentication first', async () => {
+      const { status } = await server.request('POST', '/api/create-order', { body: {} });
+      assert.equal(status, 401);
+    });
+  });
+
+  describe('credit packs', () => {
+    it('only allows positive prices and whole credits', () => {
+      const pack = { id: 'test', name: 'Test', price: 99, currency: 'INR', credits: 5, active: true };
+      assert.deepEqual(validateValue(pack, packs.packSchema, 'pack'), { value: pack });
+
+      for (const invalid of [{ price: '99' }, { price: -1 }, { price: 0 }, { credits: 2.5 }, { credits: '5' }]) {
+        const { error } = validateValue({ ...pack, ...invalid }, packs.packSchema, 'pack');
+        assert.ok(error, JSON.stringify(invalid));
+      }
+    });
+
+    it('prices orders in whole paise', async () => {
+      const { body } = await server.request('POST', '/api/create-order', { as: 'uma', body: { packId: 'starter' } });
+      assert.equal(body.amount, 9900);
+    });
+  });
+
+  describe('OpenAPI document', () => {
+    it('is served as OpenAPI 3', () => {
+      assert.equal(spec.openapi, '3.0.3');
+      assert.equal(spec.info.title, 'SpiritArt Alchemy API');
+      assert.ok(spec.components.schemas.InputError);
+    });
+
+    it('covers every route, each with its own schema', () => {
+      const operations = Object.values(spec.paths).flatMap(pathItem => Object.values(pathItem));
+      assert.ok(operations.length >= 40);
+      for (const operation of operations) {
+        assert.ok(operation.operationId && operation.summary, JSON.stringify(operation));
+      }
+
+      const operationIds = operations.map(operation => operation.operationId);
+      assert.equal(new Set(operationIds).size, operationIds.length);
+    });
+
+    it('describes parameters, bodies and security from the routes', () => {
+      const listImages = spec.paths['/api/user/{userId}/images'].get;
+      assert.deepEqual(listImages.security, [{ bearerAuth: [] }]);
+      assert.deepEqual(listImages.parameters.map(({ name, in: location }) => `${location}:${name}`), [
+        'path:userId', 'query:limit', 'query:cursor', 'query:from', 'query:to', 'query:style', 'query:favorite', 'query:tag'
+      ]);
+      assert.deepEqual(listImages.parameters[1].schema, { type: 'integer', minimum: 1, maximum: 100, default: 20 });
+      assert.deepEqual(listImages.responses[400], { $ref: '#/components/responses/InputError' });
+
+      const createOrder = spec.paths['/api/create-order'].post;
+      assert.deepEqual(createOrder.requestBody.content['application/json'].schema.properties.packId.enum, ['starter', 'popular', 'pro']);
+
+      const upload = spec.paths['/api/upload-image'].post;
+      const form = upload.requestBody.content['multipart/form-data'].schema;
+      assert.deepEqual(form.required, ['image']);
+      assert.equal(form.properties.image.format, 'binary');
+      assert.equal(form.properties.detailLevel.maximum, 100);
+
+      const events = spec.paths['/api/jobs/{id}/events'].get;
+      assert.deepEqual(events.security, [{ bearerAuth: [] }, { accessToken: [] }]);
+
+      assert.match(spec.paths['/api/admin/refunds'].post.description, /^Admin only\./);
+      assert.equal(spec.paths['/healthz'].get.security, undefined);
+      assert.equal(spec.paths['/api/generate-image'].post.deprecated, true);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('payments', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const getCredits = async (uid) => (await server.request('GET', `/api/user/${uid}`, { as: uid })).body.user.credits;
+
+  const createOrder = async (uid, packId = 'starter') => {
+    const { status, body } = await server.request('POST', '/api/create-order', { as: uid, body: { packId } });
+    assert.equal(status, 200);
+    return body;
+  };
+
+  // Pay an order through checkout and report it with /api/verify-payment
+  const payOrder = async (uid, orderId, paymentId) => server.request('POST', '/api/verify-payment', {
+    as: uid,
+    body: {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      razorpay_signature: server.payments.signPayment(orderId, paymentId)
+    }
+  });
+
+  const sendWebhook = (event, { signature } = {}) => {
+    const rawBody = JSON.stringify(event);
+    return server.request('POST', '/api/webhooks/razorpay', {
+      body: rawBody,
+      headers: { 'X-Razorpay-Signature': signature || server.payments.signWebhook(rawBody) }
+    });
+  };
+
+  describe('orders and verification', () => {
+    before(() => server.createUser('gina'));
+
+    it('creates an order priced from the pack', async () => {
+      const order = await createOrder('gina', 'popular');
+      assert.match(order.id, /^order_/);
+      assert.equal(order.amount, 29900);
+      assert.equal(order.currency, 'INR');
+      assert.equal(order.credits, 20);
+      assert.equal(order.key, 'rzp_test_fake');
+      assert.deepEqual(server.payments.orders.get(order.id).notes, { userId: 'gina', packId: 'popular', credits: '20' });
+    });
+
+    it('rejects unknown packs', async () => {
+      const { status } = await server.request('POST', '/api/create-order', { as: 'gina', body: { packId: 'free-lunch' } });
+      assert.equal(status, 400);
+    });
+
+    it('rejects a payment with an invalid signature', async () => {
+      const order = await createOrder('gina');
+      const { status } = await server.request('POST', '/api/verify-payment', {
+        as: 'gina',
+        body: { razorpay_order_id: order.id, razorpay_payment_id: 'pay_forged', razorpay_signature: 'f'.repeat(64) }
+      });
+      assert.equal(status, 400);
+      assert.equal(await getCredits('gina'), 0);
+    });
+
+    it('credits a verified payment exactly once', async () => {
+      const order = await createOrder('gina');
+
+      const first = await payOrder('gina', order.id, 'pay_gina_1');
+      assert.equal(first.status, 200);
+      assert.deepEqual(first.body, { success: true, credits: 5, applied: true });
+
+      const replay = await payOrder('gina', order.id, 'pay_gina_1');
+      assert.deepEqual(replay.body, { success: true, credits: 5, applied: false });
+
+      const { body } = await server.request('GET', '/api/user/gina/transactions?type=purchase', { as: 'gina' });
+      assert.equal(body.total, 1);
+      assert.equal(body.transactions[0].paymentId, 'pay_gina_1');
+      assert.equal(body.transactions[0].amount, 99);
+    });
+
+    it('refuses to credit another user\'s order', async () => {
+      await server.createUser('hank');
+      const order = await createOrder('gina');
+
+      const { status } = await payOrder('hank', order.id, 'pay_hank_1');
+      assert.equal(status, 403);
+      assert.equal(await getCredits('hank'), 0);
+    });
+  });
+
+  describe('webhooks', () => {
+    before(() => server.createUser('ivy'));
+
+    it('rejects an invalid signature', async () => {
+      const { status } = await sendWebhook({ event: 'payment.captured' }, { signature: 'not-the-signature' });
+      assert.equal(status, 400);
+    });
+
+    it('credits captured payments once, even alongside client verification', async () => {
+      const order = await createOrder('ivy');
+      const payment = { id: 'pay_ivy_1', order_id: order.id, amount: order.amount };
+
+      const captured = await sendWebhook({ event: 'payment.captured', payload: { payment: { entity: payment } } });
+      assert.equal(captured.status, 200);
+      assert.equal(await getCredits('ivy'), 5);
+
+      await sendWebhook({ event: 'payment.captured', payload: { payment: { entity: payment } } });
+      const verified = await payOrder('ivy', order.id, payment.id);
+      assert.equal(verified.body.applied, false);
+      assert.equal(await getCredits('ivy'), 5);
+    });
+
+    it('credits paid orders from the order in the payload', async () => {
+      const order = await createOrder('ivy', 'pro');
+      const { status } = await sendWebhook({
+        event: 'order.paid',
+        payload: {
+          payment: { entity: { id: 'pay_ivy_2', order_id: order.id, amount: order.amount } },
+          order: { entity: server.payments.orders.get(order.id) }
+        }
+      });
+      assert.equal(status, 200);
+      assert.equal(await getCredits('ivy'), 55);
+    });
+
+    it('records failed payments once', async () => {
+      const order = await createOrder('ivy');
+      const failed = { id: 'pay_ivy_failed', order_id: order.id, amount: order.amount, error_description: 'Card declined' };
+
+      await sendWebhook({ event: 'payment.failed', payload: { payment: { entity: failed } } });
+      await sendWebhook({ event: 'payment.failed', payload: { payment: { entity: failed } } });
+
+      const { body } = await server.request('GET', '/api/user/ivy/transactions?type=payment-failed', { as: 'ivy' });
+      assert.equal(body.total, 1);
+      assert.equal(body.transactions[0].reason, 'Card declined');
+      assert.equal(body.transactions[0].credits, 0);
+    });
+
+    it('takes back credits for refunds made in the Razorpay dashboard', async () => {
+      const refund = { id: 'rfnd_ivy_1', payment_id: 'pay_ivy_1', amount: 9900 };
+
+      const first = await sendWebhook({ event: 'refund.processed', payload: { refund: { entity: refund } } });
+      assert.equal(first.status, 200);
+      assert.equal(await getCredits('ivy'), 50);
+
+      await sendWebhook({ event: 'refund.processed', payload: { refund: { entity: refund } } });
+      assert.equal(await getCredits('ivy'), 50);
+    });
+
+    it('refuses signed events without the entities they need', async () => {
+      const missing = await sendWebhook({ event: 'payment.captured', payload: {} });
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.error.code, 'REQUIRED');
+      assert.equal(missing.body.error.field, 'payload.payment');
+
+      const order = await createOrder('ivy');
+      const noOrder = await sendWebhook({
+        event: 'order.paid',
+        payload: { payment: { entity: { id: 'pay_ivy_3', order_id: order.id, amount: order.amount } }, order: {} }
+      });
+      assert.equal(noOrder.status, 400);
+      assert.equal(noOrder.body.error.field, 'payload.order.entity');
+
+      const badRefund = await sendWebhook({ event: 'refund.processed', payload: { refund: { entity: { id: 'rfnd_ivy_2', payment_id: 'pay_ivy_1', amount: '99' } } } });
+      assert.equal(badRefund.status, 400);
+      assert.equal(badRefund.body.error.code, 'INVALID_TYPE');
+      assert.equal(badRefund.body.error.field, 'payload.refund.entity.amount');
+
+      assert.equal(await getCredits('ivy'), 50);
+    });
+
+    it('acknowledges events it doesn\'t handle', async () => {
+      const { status, body } = await sendWebhook({ event: 'subscription.charged', payload: {} });
+      assert.equal(status, 200);
+      assert.deepEqual(body, { received: true });
+    });
+  });
+
+  describe('admin refunds', () => {
+    let transactionId;
+
+    before(async () => {
+      await server.createUser('jack');
+      const order = await createOrder('jack', 'popular');
+      await payOrder('jack', order.id, 'pay_jack_1');
+
+      const { body } = await server.request('GET', '/api/user/jack/transactions?type=purchase', { as: 'jack' });
+      transactionId = body.transactions[0].id;
+    });
+
+    const refund = (body) => server.request('POST', '/api/admin/refunds', { as: 'root', admin: true, body });
+
+    it('is only available to admins', async () => {
+      const { status } = await server.request('POST', '/api/admin/refunds', { as: 'jack', body: { transactionId, reason: 'mine' } });
+      assert.equal(status, 403);
+    });
+
+    it('validates the request', async () => {
+      assert.equal((await refund({ reason: 'no id' })).status, 400);
+      assert.equal((await refund({ transactionId, amount: -5, reason: 'negative' })).status, 400);
+      assert.equal((await refund({ transactionId })).status, 400);
+      assert.equal((await refund({ transactionId: 'missing', reason: 'unknown' })).status, 404);
+      assert.equal((await refund({ transactionId, amount: 500, reason: 'too much' })).status, 400);
+    });
+
+    it('refunds part of a purchase and its share of the credits', async () => {
+      const { status, body } = await refund({ transactionId, amount: 149.5, reason: 'Half refund' });
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.amount, 149.5);
+
+      const [razorpayRefund] = server.payments.refunds;
+      assert.equal(razorpayRefund.payment_id, 'pay_jack_1');
+      assert.equal(razorpayRefund.amount, 14950);
+      assert.equal(await getCredits('jack'), 10);
+    });
+
+    it('refuses to refund credits that were already spent unless told to', async () => {
+      await server.request('POST', '/api/admin/users/jack/credits', { as: 'root', admin: true, body: { amount: -8, reason: 'Spent elsewhere' } });
+
+      const refused = await refund({ transactionId, reason: 'The rest' });
+      assert.equal(refused.status, 409);
+      assert.equal(refused.body.credits, 10);
+      assert.equal(refused.body.unusedCredits, 2);
+
+      const forced = await refund({ transactionId, reason: 'The rest', allowSpentCredits: true });
+      assert.equal(forced.status, 200);
+      assert.equal(await getCredits('jack'), 0);
+
+      const again = await refund({ transactionId, reason: 'Once more' });
+      assert.equal(again.status, 400);
+    });
+
+    it('counts credits spent since a purchase against it, whatever was bought later', async () => {
+      await server.createUser('kate');
+      const first = await createOrder('kate');
+      await payOrder('kate', first.id, 'pay_kate_1');
+      await server.request('POST', '/api/admin/users/kate/credits', { as: 'root', admin: true, body: { amount: -5, reason: 'Spent' } });
+      const second = await createOrder('kate');
+      await payOrder('kate', second.id, 'pay_kate_2');
+
+      const { body } = await server.request('GET', '/api/user/kate/transactions?type=purchase', { as: 'kate' });
+      const byPayment = Object.fromEntries(body.transactions.map(purchase => [purchase.paymentId, purchase.id]));
+
+      const refused = await refund({ transactionId: byPayment.pay_kate_1, reason: 'Old purchase' });
+      assert.equal(refused.status, 409);
+      assert.equal(refused.body.unusedCredits, 0);
+
+      const refunded = await refund({ transactionId: byPayment.pay_kate_2, reason: 'New purchase' });
+      assert.equal(refunded.status, 200);
+      assert.equal(await getCredits('kate'), 0);
+    });
+  });
+});
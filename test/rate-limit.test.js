@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { createMemoryStore } = require('../rate-limit');
+
+describe('rate limiter store', () => {
+  const perUser = { key: 'upload-image:user:tess', limit: { limit: 5, windowSeconds: 60 } };
+  const perIp = { key: 'upload-image:ip:10.0.0.1', limit: { limit: 1, windowSeconds: 60 } };
+
+  it('takes from no bucket when one of them is empty', async () => {
+    const store = createMemoryStore();
+
+    assert.deepEqual((await store.take([perUser, perIp])).map(result => result.allowed), [true, true]);
+
+    const refused = await store.take([perUser, perIp]);
+    assert.deepEqual(refused.map(result => result.allowed), [true, false]);
+    assert.ok(refused[1].retryAfterMs > 0);
+
+    // The refused request didn't cost the user a token
+    const [userOnly] = await store.take([perUser]);
+    assert.equal(userOnly.remaining, 3);
+  });
+
+  it('expires concurrency leases that are never released', async () => {
+    const store = createMemoryStore({ leaseTtlMs: 20 });
+
+    const leaseId = await store.acquire('upload-batch:user:tess', 1);
+    assert.ok(leaseId);
+    assert.equal(await store.acquire('upload-batch:user:tess', 1), null);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.ok(await store.acquire('upload-batch:user:tess', 1));
+  });
+
+  it('keeps renewed concurrency leases past their first expiry', async () => {
+    const store = createMemoryStore({ leaseTtlMs: 40 });
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    const leaseId = await store.acquire('upload-image:user:tess', 1);
+    await wait(25);
+    assert.equal(await store.renew('upload-image:user:tess', leaseId), true);
+    await wait(25);
+    assert.equal(await store.acquire('upload-image:user:tess', 1), null);
+
+    await wait(50);
+    assert.equal(await store.renew('upload-image:user:tess', leaseId), false);
+    assert.ok(await store.acquire('upload-image:user:tess', 1));
+  });
+});
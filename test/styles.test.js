@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const styles = require('../styles');
+
+describe('styles', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const asAdmin = (method, path, body) => server.request(method, path, { as: 'root', admin: true, body });
+
+  it('lists the built-in styles publicly, without their prompts', async () => {
+    const { status, body } = await server.request('GET', '/api/styles');
+    assert.equal(status, 200);
+    assert.deepEqual(body.styles.map(style => style.id), ['ghibli-character', 'ghibli-cityscape', 'ghibli-fantasy', 'ghibli-nature']);
+    assert.equal(body.styles[0].promptTemplate, undefined);
+    assert.equal(body.styles[0].version, 1);
+  });
+
+  it('keeps the admin routes to admins', async () => {
+    assert.equal((await server.request('GET', '/api/admin/styles')).status, 401);
+    assert.equal((await server.request('GET', '/api/admin/styles', { as: 'kim' })).status, 403);
+    assert.equal((await server.request('POST', '/api/admin/styles', { as: 'kim', body: { id: 'sneaky', name: 'x', promptTemplate: 'y' } })).status, 403);
+  });
+
+  it('answers 500 when the styles cannot be read', async () => {
+    const listStyles = styles.listStyles;
+    styles.listStyles = async () => {
+      throw new Error('Store unavailable');
+    };
+
+    try {
+      const { status, body } = await asAdmin('GET', '/api/admin/styles');
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Store unavailable');
+    } finally {
+      styles.listStyles = listStyles;
+    }
+  });
+
+  it('creates a style', async () => {
+    const { status, body } = await asAdmin('POST', '/api/admin/styles', {
+      id: 'ghibli-winter',
+      name: 'Winter',
+      promptTemplate: 'Snowy Studio Ghibli scene',
+      creditCost: 2
+    });
+    assert.equal(status, 201);
+    assert.equal(body.style.id, 'ghibli-winter');
+    assert.equal(body.style.version, 1);
+    assert.equal(body.style.creditCost, 2);
+    assert.equal(body.style.enabled, true);
+  });
+
+  it('rejects invalid styles', async () => {
+    const invalid = [
+      { id: 'Bad Id', name: 'x', promptTemplate: 'y' },
+      { id: 'no-prompt', name: 'x' },
+      { id: 'free-style', name: 'x', promptTemplate: 'y', creditCost: 0 },
+      { id: 'ghibli-winter', name: 'Again', promptTemplate: 'y' }
+    ];
+    for (const style of invalid) {
+      const { status } = await asAdmin('POST', '/api/admin/styles', style);
+      assert.equal(status, 400, JSON.stringify(style));
+    }
+
+    const taken = await asAdmin('POST', '/api/admin/styles', { id: 'ghibli-winter', name: 'Again', promptTemplate: 'y' });
+    assert.deepEqual(taken.body.error, { code: 'STYLE_EXISTS', message: 'Style ghibli-winter already exists', field: 'id' });
+  });
+
+  it('updates a style as a new version', async () => {
+    const { status, body } = await asAdmin('PATCH', '/api/admin/styles/ghibli-winter', { description: 'Snow and lanterns' });
+    assert.equal(status, 200);
+    assert.equal(body.style.version, 2);
+    assert.equal(body.style.description, 'Snow and lanterns');
+    assert.equal(body.style.name, 'Winter');
+
+    assert.equal((await asAdmin('PATCH', '/api/admin/styles/ghibli-winter', { enabled: 'no' })).status, 400);
+    assert.equal((await asAdmin('PATCH', '/api/admin/styles/missing', { name: 'Missing' })).status, 404);
+  });
+
+  it('disables a style', async () => {
+    const { status, body } = await asAdmin('POST', '/api/admin/styles/ghibli-winter/disable');
+    assert.equal(status, 200);
+    assert.equal(body.style.enabled, false);
+    assert.equal(body.style.version, 3);
+
+    const publicList = await server.request('GET', '/api/styles');
+    assert.ok(!publicList.body.styles.some(style => style.id === 'ghibli-winter'));
+
+    const adminList = await asAdmin('GET', '/api/admin/styles');
+    const winter = adminList.body.styles.find(style => style.id === 'ghibli-winter');
+    assert.equal(winter.enabled, false);
+    assert.equal(winter.promptTemplate, 'Snowy Studio Ghibli scene');
+
+    assert.equal((await asAdmin('POST', '/api/admin/styles/missing/disable')).status, 404);
+  });
+
+  it('refuses generations with a disabled style', async () => {
+    await server.createUser('kim', { credits: 5 });
+    const { status, body } = await server.request('POST', '/api/upload-image', {
+      as: 'kim',
+      form: await server.uploadForm({ fields: { style: 'ghibli-winter' } })
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'UNKNOWN_STYLE');
+    assert.match(body.error.message, /Unknown style/);
+  });
+
+  it('audits style changes', async () => {
+    const { body } = await asAdmin('GET', '/api/admin/audit-log?targetId=ghibli-winter');
+    assert.deepEqual(body.entries.map(entry => entry.action).sort(), ['style.create', 'style.update', 'style.update']);
+    assert.ok(body.entries.every(entry => entry.adminId === 'root'));
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const firebase = require('../firebase');
+
+describe('users', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('requires a valid ID token', async () => {
+    const missing = await server.request('GET', '/api/user/alice');
+    assert.equal(missing.status, 401);
+
+    const invalid = await server.request('GET', '/api/user/alice', { headers: { Authorization: 'Bearer not-a-token' } });
+    assert.equal(invalid.status, 401);
+  });
+
+  it('only lets users read their own data', async () => {
+    await server.createUser('alice');
+    const { status } = await server.request('GET', '/api/user/alice', { as: 'mallory' });
+    assert.equal(status, 403);
+  });
+
+  it('reports unknown users as not found', async () => {
+    const { status } = await server.request('GET', '/api/user/nobody', { as: 'nobody' });
+    assert.equal(status, 404);
+  });
+
+  it('creates and updates the profile, ignoring server-managed fields', async () => {
+    const created = await server.request('POST', '/api/user/create', {
+      as: 'bob',
+      body: { id: 'someone-else', name: 'Bob', email: 'bob@example.com', credits: 1000, banned: false }
+    });
+    assert.equal(created.status, 200);
+    assert.deepEqual(created.body.user, { id: 'bob', name: 'Bob', email: 'bob@example.com' });
+
+    await server.request('POST', '/api/user/create', { as: 'bob', body: { displayName: 'Bobby' } });
+
+    const { status, body } = await server.request('GET', '/api/user/bob', { as: 'bob' });
+    assert.equal(status, 200);
+    assert.equal(body.user.id, 'bob');
+    assert.equal(body.user.name, 'Bob');
+    assert.equal(body.user.displayName, 'Bobby');
+    assert.equal(body.user.credits, 0);
+  });
+
+  describe('transactions', () => {
+    before(async () => {
+      await server.createUser('carol');
+      for (let i = 0; i < 5; i++) {
+        await firebase.saveTransaction({ userId: 'carol', type: i % 2 ? 'purchase' : 'image-transformation', credits: i });
+      }
+      await firebase.saveTransaction({ userId: 'dave', type: 'purchase', credits: 99 });
+    });
+
+    it('lists only the user\'s transactions, newest first', async () => {
+      const { status, body } = await server.request('GET', '/api/user/carol/transactions', { as: 'carol' });
+      assert.equal(status, 200);
+      assert.equal(body.total, 5);
+      assert.equal(body.nextCursor, null);
+      assert.ok(body.transactions.every(transaction => transaction.userId === 'carol'));
+
+      const times = body.transactions.map(transaction => Date.parse(transaction.createdAt));
+      assert.deepEqual(times, [...times].sort((a, b) => b - a));
+    });
+
+    it('pages through transactions with a cursor', async () => {
+      const first = await server.request('GET', '/api/user/carol/transactions?limit=2', { as: 'carol' });
+      assert.equal(first.body.transactions.length, 2);
+      assert.ok(first.body.nextCursor);
+
+      const seen = first.body.transactions.map(transaction => transaction.id);
+      let cursor = first.body.nextCursor;
+      while (cursor) {
+        const page = await server.request('GET', `/api/user/carol/transactions?limit=2&cursor=${cursor}`, { as: 'carol' });
+        assert.equal(page.status, 200);
+        seen.push(...page.body.transactions.map(transaction => transaction.id));
+        cursor = page.body.nextCursor;
+      }
+
+      assert.equal(seen.length, 5);
+      assert.equal(new Set(seen).size, 5);
+    });
+
+    it('filters transactions by type', async () => {
+      const { body } = await server.request('GET', '/api/user/carol/transactions?type=purchase', { as: 'carol' });
+      assert.equal(body.total, 2);
+      assert.ok(body.transactions.every(transaction => transaction.type === 'purchase'));
+    });
+
+    it('rejects invalid list parameters', async () => {
+      for (const query of ['limit=0', 'limit=abc', 'cursor=garbage', 'from=yesterday', 'from=2024-02-01&to=2024-01-01']) {
+        const { status } = await server.request('GET', `/api/user/carol/transactions?${query}`, { as: 'carol' });
+        assert.equal(status, 400, query);
+      }
+    });
+
+    it('filters transactions by date range', async () => {
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const { body } = await server.request('GET', `/api/user/carol/transactions?from=${future}`, { as: 'carol' });
+      assert.equal(body.total, 0);
+      assert.deepEqual(body.transactions, []);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const path = require('path');
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { logger } = require('./logger');
+
+// Upload validation
+//
+// Uploads are identified by their content (magic bytes), never by their file
+// name or the content type the client sent, and must then decode cleanly.
+// JPEG, PNG, WebP and AVIF are decoded by sharp; HEIC/HEIF (iPhone photos) by
+// heic-decode, since sharp's prebuilt libvips can't decode HEVC.
+//
+// Accepted images are re-encoded upright (EXIF orientation applied) and
+// without any metadata, so GPS and other EXIF data never reach temp files,
+// storage or OpenAI. Rejections carry one of these codes:
+//   FILE_TOO_LARGE      over the upload size limit
+//   EMPTY_FILE          no bytes
+//   UNSUPPORTED_FORMAT  content isn't JPEG, PNG, WebP, AVIF or HEIC
+//   CORRUPT_IMAGE       looks like an image but doesn't decode
+//   IMAGE_TOO_LARGE     more than UPLOAD_MAX_PIXELS pixels (also stops decompression bombs)
+//   IMAGE_TOO_SMALL     narrower or shorter than MIN_DIMENSION pixels
+
+const MAX_INPUT_PIXELS = parseInt(process.env.UPLOAD_MAX_PIXELS || String(50 * 1000 * 1000), 10);
+const MIN_DIMENSION = 64;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const GENERIC_HEIF_BRANDS = ['mif1', 'msf1'];
+
+// Returns jpeg|png|webp|avif|heic, or null for anything else
+const sniffFormat = (buffer) => {
+  if (buffer.length < 12) {
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  // ISO media files start with an `ftyp` box: size, 'ftyp', major brand,
+  // minor version, then compatible brands
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const majorBrand = buffer.toString('ascii', 8, 12);
+    const compatibleBrands = [];
+    for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+      compatibleBrands.push(buffer.toString('ascii', offset, offset + 4));
+    }
+
+    if (AVIF_BRANDS.includes(majorBrand)) {
+      return 'avif';
+    }
+    if (HEIC_BRANDS.includes(majorBrand)) {
+      return 'heic';
+    }
+    if (GENERIC_HEIF_BRANDS.includes(majorBrand)) {
+      return compatibleBrands.some(brand => AVIF_BRANDS.includes(brand)) ? 'avif' : 'heic';
+    }
+  }
+
+  return null;
+};
+
+const rejection = (code, error) => ({ code, error });
+
+const checkDimensions = (width, height) => {
+  if (!width || !height) {
+    return rejection('CORRUPT_IMAGE', 'The image has no dimensions. Please try a different image.');
+  }
+  if (width * height > MAX_INPUT_PIXELS) {
+    return rejection('IMAGE_TOO_LARGE', `The image is too large (${width}x${height}). Please upload an image under ${Math.floor(MAX_INPUT_PIXELS / 1e6)} megapixels.`);
+  }
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+    return rejection('IMAGE_TOO_SMALL', `The image is too small (${width}x${height}). It must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels.`);
+  }
+  return null;
+};
+
+// Decode a HEIC into a sharp pipeline. Dimensions are checked before the
+// pixels are decoded; libheif already applies the image's rotation.
+const openHeic = async (buffer) => {
+  const images = await decodeHeic.all({ buffer });
+
+  try {
+    const [primary] = images;
+    const dimensionsError = checkDimensions(primary.width, primary.height);
+    if (dimensionsError) {
+      return { error: dimensionsError };
+    }
+
+    const { width, height, data } = await primary.decode();
+    return { image: sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } }) };
+  } finally {
+    images.dispose();
+  }
+};
+
+const openImage = async (buffer, format) => {
+  if (format === 'heic') {
+    return openHeic(buffer);
+  }
+
+  // Metadata comes from the header alone, so this is checked before decoding.
+  // limitInputPixels backs it up in case the header lies.
+  const metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+  const dimensionsError = checkDimensions(metadata.width, metadata.height);
+  if (dimensionsError) {
+    return { error: dimensionsError };
+  }
+
+  return { image: sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate() };
+};
+
+// Validate a multer file and return a cleaned copy of it. Returns { file } or
+// { error: { code, error } }. PNGs stay PNG; everything else becomes JPEG.
+const validateUpload = async (file) => {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    return { error: rejection('EMPTY_FILE', 'The uploaded file is empty. Please select a valid image.') };
+  }
+
+  const format = sniffFormat(file.buffer);
+
+  if (!format) {
+    return { error: rejection('UNSUPPORTED_FORMAT', 'Only JPEG, PNG, WebP, AVIF and HEIC images are supported.') };
+  }
+
+  try {
+    const { image, error } = await openImage(file.buffer, format);
+
+    if (error) {
+      return { error };
+    }
+
+    const outputFormat = format === 'png' ? 'png' : 'jpeg';
+    const { data, info } = await (outputFormat === 'png' ? image.png() : image.jpeg({ quality: 92 }))
+      .toBuffer({ resolveWithObject: true });
+
+    const baseName = path.basename(file.originalname || 'upload', path.extname(file.originalname || ''));
+
+    return {
+      file: {
+        ...file,
+        buffer: data,
+        size: data.length,
+        mimetype: `image/${outputFormat}`,
+        originalname: `${baseName}.${outputFormat === 'png' ? 'png' : 'jpg'}`,
+        sourceFormat: format,
+        width: info.width,
+        height: info.height
+      }
+    };
+  } catch (error) {
+    logger.warn('Error decoding uploaded image', { format, reason: error.message });
+    return { error: rejection('CORRUPT_IMAGE', 'The image could not be read. It may be damaged or incomplete.') };
+  }
+};
+
+module.exports = {
+  MAX_INPUT_PIXELS,
+  sniffFormat,
+  validateUpload
+};
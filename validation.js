@@ -0,0 +1,306 @@
+// Request validation
+//
+// Routes declare what they accept with schemas written in the subset of JSON
+// Schema that OpenAPI 3.0 uses, so the same declarations check requests and
+// document them (see openapi.js). A route's schema has an object schema for
+// each part of the request it reads:
+//   params     path parameters
+//   query      query string parameters
+//   headers    request headers, by lowercase name
+//   body       JSON body
+//   multipart  multipart/form-data fields; files are `format: 'binary'` strings
+//              (or arrays of them) and are looked up in req.file / req.files
+// plus `summary`, `description`, `tags`, `deprecated` and `responses`
+// ({ status: description or { description, schema } }) for the spec.
+//
+// Path, query, header and multipart values arrive as strings, so they are
+// converted to integers, numbers and booleans before checking, and empty
+// strings count as missing. JSON bodies are checked as sent. Fields a schema
+// doesn't mention are left alone.
+//
+// Supported keywords: type, nullable, enum, not (with enum), minimum,
+// maximum, exclusiveMinimum, minLength, maxLength, pattern, items, minItems,
+// maxItems, properties and required.
+//
+// Rejected requests get 400 with { error: { code, message, field } }, where
+// code is REQUIRED, INVALID_TYPE, OUT_OF_RANGE or INVALID_VALUE (NO_FILE for
+// missing files) and field names the offending field (null if none). Routes
+// answer input they reject later on, e.g. an unknown style, the same way with
+// sendInputError.
+
+// Pattern for text that must have something besides whitespace
+const NON_BLANK = '\\S';
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+// Schema for the `error` of input errors, for the spec
+const INPUT_ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'Machine-readable reason, e.g. REQUIRED or INVALID_TYPE' },
+        message: { type: 'string', description: 'What is wrong, for people' },
+        field: { type: 'string', nullable: true, description: 'The offending field, e.g. amount or tags[2]; null if the error isn\'t about one field' }
+      },
+      required: ['code', 'message', 'field']
+    }
+  },
+  required: ['error']
+};
+
+// Answer with the shared input error shape. Extra details, such as the index
+// of a rejected batch image, go next to code and message.
+const sendInputError = (res, { code = 'INVALID_VALUE', message, field = null, status = 400, ...details }) => (
+  res.status(status).json({ error: { code, message, field, ...details } })
+);
+
+const invalid = (code, field, message) => ({ error: { code, field, message } });
+
+const hasType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+// Convert a string from the path, query string, headers or a form to the
+// schema's type. Values that don't convert are kept and fail the type check.
+const fromString = (value, schema) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = Number(value);
+    return value.trim() === '' || Number.isNaN(number) ? value : number;
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const isFileSchema = (schema) => schema.format === 'binary' || Boolean(schema.items && schema.items.format === 'binary');
+
+const listValues = (values) => values.map(value => JSON.stringify(value)).join(', ');
+
+// Check one value against a schema. `fromStrings` converts string input (see
+// above). Returns { value } with the converted value, or { error }.
+const validateValue = (value, schema, field, { fromStrings = false } = {}) => {
+  if (value === null) {
+    return schema.nullable ? { value } : invalid('INVALID_TYPE', field, `${field} must not be null`);
+  }
+
+  // Repeated query parameters come in as arrays
+  if (fromStrings && Array.isArray(value) && schema.type !== 'array') {
+    return invalid('INVALID_TYPE', field, `${field} may only be given once`);
+  }
+
+  const converted = fromStrings ? fromString(value, schema) : value;
+
+  if (schema.type && !hasType(converted, schema.type)) {
+    return invalid('INVALID_TYPE', field, `${field} must be ${TYPE_NAMES[schema.type]}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(converted)) {
+    return invalid('INVALID_VALUE', field, `${field} must be one of ${listValues(schema.enum)}`);
+  }
+
+  if (schema.not && schema.not.enum && schema.not.enum.includes(converted)) {
+    return invalid('INVALID_VALUE', field, `${field} must not be ${listValues(schema.not.enum)}`);
+  }
+
+  if (typeof converted === 'number') {
+    if (schema.minimum !== undefined && schema.exclusiveMinimum && !(converted > schema.minimum)) {
+      return invalid('OUT_OF_RANGE', field, `${field} must be greater than ${schema.minimum}`);
+    }
+    if (schema.minimum !== undefined && converted < schema.minimum) {
+      return invalid('OUT_OF_RANGE', field, `${field} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && converted > schema.maximum) {
+      return invalid('OUT_OF_RANGE', field, `${field} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof converted === 'string') {
+    if (schema.minLength !== undefined && converted.length < schema.minLength) {
+      return invalid('OUT_OF_RANGE', field, schema.minLength === 1
+        ? `${field} must not be empty`
+        : `${field} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && converted.length > schema.maxLength) {
+      return invalid('OUT_OF_RANGE', field, `${field} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(converted)) {
+      return invalid('INVALID_VALUE', field, schema.pattern === NON_BLANK
+        ? `${field} must not be blank`
+        : `${field} must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(converted)) {
+    if (schema.minItems !== undefined && converted.length < schema.minItems) {
+      return invalid('OUT_OF_RANGE', field, `${field} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && converted.length > schema.maxItems) {
+      return invalid('OUT_OF_RANGE', field, `${field} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      const items = [];
+      for (const [index, item] of converted.entries()) {
+        const result = validateValue(item, schema.items, `${field}[${index}]`, { fromStrings });
+        if (result.error) {
+          return result;
+        }
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+  }
+
+  if (schema.properties && hasType(converted, 'object')) {
+    return validateObject(converted, schema, { fromStrings, prefix: `${field}.` });
+  }
+
+  return { value: converted };
+};
+
+// Check the fields of an object. Returns { value } with a copy holding the
+// converted fields, or { error }.
+const validateObject = (data, schema, { fromStrings = false, prefix = '' } = {}) => {
+  const value = { ...data };
+  const required = schema.required || [];
+
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    const field = `${prefix}${name}`;
+
+    // Files are checked by checkFiles
+    if (isFileSchema(propertySchema)) {
+      continue;
+    }
+
+    if (fromStrings && value[name] === '') {
+      delete value[name];
+    }
+
+    if (value[name] === undefined) {
+      if (required.includes(name)) {
+        return invalid('REQUIRED', field, `${field} is required`);
+      }
+      continue;
+    }
+
+    const result = validateValue(value[name], propertySchema, field, { fromStrings });
+    if (result.error) {
+      return result;
+    }
+    value[name] = result.value;
+  }
+
+  return { value };
+};
+
+// Multipart files, which multer puts on req.file (single) or req.files (array)
+const checkFiles = (req, schema) => {
+  const uploaded = [req.file, ...(Array.isArray(req.files) ? req.files : [])].filter(Boolean);
+
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    if (!isFileSchema(propertySchema)) {
+      continue;
+    }
+
+    const files = uploaded.filter(file => file.fieldname === name);
+
+    if (files.length === 0 && (schema.required || []).includes(name)) {
+      return invalid('NO_FILE', name, `No file was uploaded. Send it in the "${name}" field.`);
+    }
+    if (propertySchema.maxItems !== undefined && files.length > propertySchema.maxItems) {
+      return invalid('OUT_OF_RANGE', name, `${name} must have at most ${propertySchema.maxItems} files`);
+    }
+  }
+
+  return {};
+};
+
+// Express middleware that checks a request against a route schema (see the
+// top of this file) and replaces the checked parts of the request with their
+// converted values. The schema stays on the middleware for openapi.js.
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    if (schema.params) {
+      const { value, error } = validateObject(req.params, schema.params, { fromStrings: true });
+      if (error) {
+        return sendInputError(res, error);
+      }
+      Object.assign(req.params, value);
+    }
+
+    if (schema.query) {
+      const { value, error } = validateObject(req.query, schema.query, { fromStrings: true });
+      if (error) {
+        return sendInputError(res, error);
+      }
+      req.query = value;
+    }
+
+    if (schema.headers) {
+      const { error } = validateObject(req.headers, schema.headers, { fromStrings: true });
+      if (error) {
+        return sendInputError(res, error);
+      }
+    }
+
+    if (schema.body) {
+      if (!hasType(req.body, 'object')) {
+        return sendInputError(res, { code: 'INVALID_TYPE', message: 'The request body must be a JSON object' });
+      }
+      const { value, error } = validateObject(req.body, schema.body);
+      if (error) {
+        return sendInputError(res, error);
+      }
+      req.body = value;
+    }
+
+    if (schema.multipart) {
+      const { error: fileError } = checkFiles(req, schema.multipart);
+      if (fileError) {
+        return sendInputError(res, fileError);
+      }
+      const { value, error } = validateObject(req.body || {}, schema.multipart, { fromStrings: true });
+      if (error) {
+        return sendInputError(res, error);
+      }
+      req.body = value;
+    }
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  NON_BLANK,
+  INPUT_ERROR_SCHEMA,
+  sendInputError,
+  validateValue,
+  validateObject,
+  validate
+};